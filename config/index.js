@@ -0,0 +1,571 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'app.json');
+const ECOSYSTEM_FILE = path.join(ROOT, 'ecosystem.config.js');
+
+const STORE_TYPE = { type: 'string', enum: ['file', 'memory'], default: 'file' };
+
+/**
+ * Every setting, as the JSON Schema of the config object. A leaf's `env` is the
+ * environment variable that sets it and `secret` leaves are redacted in the admin
+ * view; both are stripped before the schema is compiled.
+ */
+const SETTINGS = {
+    server: {
+        port: { env: 'PORT', type: 'integer', minimum: 1, maximum: 65535, default: 5000 },
+        // Express "trust proxy": a hop count, "loopback", addresses or subnets
+        trustProxy: { env: 'TRUST_PROXY', type: 'string', minLength: 1, default: 'loopback' },
+        environment: { env: 'NODE_ENV', type: 'string', minLength: 1, default: 'development' }
+    },
+    logging: {
+        level: { env: 'LOG_LEVEL', type: 'string', enum: ['debug', 'info', 'warn', 'error'], default: 'info' }
+    },
+    auth: {
+        adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', minLength: 1, secret: true },
+        rateLimit: {
+            ipCapacity: { env: 'RATE_LIMIT_IP_CAPACITY', type: 'integer', minimum: 1, default: 60 },
+            ipRefillPerSecond: { env: 'RATE_LIMIT_IP_REFILL_PER_SECOND', type: 'number', exclusiveMinimum: 0, default: 1 },
+            keyCapacity: { env: 'RATE_LIMIT_KEY_CAPACITY', type: 'integer', minimum: 1, default: 30 },
+            keyRefillPerSecond: { env: 'RATE_LIMIT_KEY_REFILL_PER_SECOND', type: 'number', exclusiveMinimum: 0, default: 0.5 }
+        }
+    },
+    providers: {
+        modelsConfig: { env: 'MODELS_CONFIG', type: 'string', default: path.join(__dirname, 'models.json') },
+        openai: {
+            baseUrl: { env: 'OPENAI_BASE_URL', type: 'string', format: 'url' },
+            apiKey: { env: 'OPENAI_API_KEY', type: 'string', minLength: 1, secret: true }
+        },
+        anthropic: {
+            baseUrl: { env: 'ANTHROPIC_BASE_URL', type: 'string', format: 'url', default: 'https://api.anthropic.com/v1/messages' },
+            apiKey: { env: 'ANTHROPIC_API_KEY', type: 'string', minLength: 1, secret: true }
+        },
+        ollama: {
+            baseUrl: { env: 'OLLAMA_BASE_URL', type: 'string', format: 'url', default: 'http://localhost:11434' }
+        }
+    },
+    upstream: {
+        timeoutMs: { env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', minimum: 1, default: 60000 },
+        maxRetries: { env: 'UPSTREAM_MAX_RETRIES', type: 'integer', minimum: 0, default: 2 },
+        breakerThreshold: { env: 'UPSTREAM_BREAKER_THRESHOLD', type: 'integer', minimum: 1, default: 5 },
+        breakerResetSeconds: { env: 'UPSTREAM_BREAKER_RESET_SECONDS', type: 'number', exclusiveMinimum: 0, default: 30 }
+    },
+    // Model request settings; prompt templates set their own temperature and max tokens
+    completions: {
+        temperature: { env: 'CHAT_TEMPERATURE', type: 'number', minimum: 0, maximum: 2, default: 0.7 },
+        maxTokens: { env: 'CHAT_MAX_TOKENS', type: 'integer', minimum: 1, default: 2000 },
+        imageAnalysisMaxTokens: { env: 'IMAGE_ANALYSIS_MAX_TOKENS', type: 'integer', minimum: 1, default: 500 },
+        extractMaxTokens: { env: 'EXTRACT_MAX_TOKENS', type: 'integer', minimum: 1, default: 2000 },
+        visionTimeoutMs: { env: 'VISION_TIMEOUT_MS', type: 'integer', minimum: 1, default: 120000 },
+        titlesTimeoutMs: { env: 'TITLES_TIMEOUT_MS', type: 'integer', minimum: 1, default: 60000 }
+    },
+    images: {
+        maxBytes: { env: 'IMAGE_MAX_BYTES', type: 'integer', minimum: 1, default: 25 * 1024 * 1024 },
+        maxPixels: { env: 'IMAGE_MAX_PIXELS', type: 'integer', minimum: 1, default: 64 * 1000 * 1000 },
+        // Images sent to the vision models are resized and re-encoded to these
+        modelMaxDimension: { env: 'MODEL_IMAGE_MAX_DIMENSION', type: 'integer', minimum: 64, maximum: 8192, default: 1000 },
+        modelJpegQuality: { env: 'MODEL_IMAGE_QUALITY', type: 'integer', minimum: 1, maximum: 100, default: 80 }
+    },
+    cache: {
+        ttlSeconds: { env: 'CACHE_TTL_SECONDS', type: 'integer', minimum: 1, default: 3600 },
+        maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', minimum: 1, default: 500 },
+        maxBytes: { env: 'CACHE_MAX_BYTES', type: 'integer', minimum: 1, default: 50 * 1024 * 1024 },
+        perceptualHash: { env: 'CACHE_PERCEPTUAL_HASH', type: 'boolean', default: false },
+        perceptualDistance: { env: 'CACHE_PERCEPTUAL_DISTANCE', type: 'integer', minimum: 0, maximum: 64, default: 4 }
+    },
+    storage: {
+        dataDir: { env: 'DATA_DIR', type: 'string', minLength: 1, default: 'data' },
+        // Defaults to library.sqlite in the data directory
+        libraryDb: { env: 'LIBRARY_DB', type: 'string', minLength: 1 },
+        apiKeys: { env: 'API_KEY_STORE', ...STORE_TYPE },
+        conversations: { env: 'CONVERSATION_STORE', ...STORE_TYPE },
+        jobs: { env: 'JOB_STORE', ...STORE_TYPE },
+        usage: { env: 'USAGE_STORE', ...STORE_TYPE },
+        // Prompt versions added through the API; the seed templates stay in PROMPTS_DIR
+        prompts: { env: 'PROMPT_STORE', ...STORE_TYPE },
+        googleBooksCache: { env: 'GOOGLE_BOOKS_CACHE_STORE', ...STORE_TYPE }
+    },
+    jobs: {
+        concurrency: { env: 'JOB_CONCURRENCY', type: 'integer', minimum: 1, default: 2 },
+        maxAttempts: { env: 'JOB_MAX_ATTEMPTS', type: 'integer', minimum: 1, default: 3 },
+        webhookSecret: { env: 'JOB_WEBHOOK_SECRET', type: 'string', minLength: 1, secret: true },
+        // When set, the only hosts a callbackUrl may point at (private ones included)
+        callbackHosts: { env: 'JOB_CALLBACK_HOSTS', type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true, default: [] },
+        // Finished jobs are deleted this long after they complete
+        retentionHours: { env: 'JOB_RETENTION_HOURS', type: 'integer', minimum: 1, default: 168 }
+    },
+    conversations: {
+        tokenBudget: { env: 'CONVERSATION_TOKEN_BUDGET', type: 'integer', minimum: 1, default: 6000 }
+    },
+    scan: {
+        batchConcurrency: { env: 'SCAN_BATCH_CONCURRENCY', type: 'integer', minimum: 1, default: 2 }
+    },
+    googleBooks: {
+        apiKey: { env: 'GOOGLE_BOOKS_API_KEY', type: 'string', minLength: 1, secret: true },
+        concurrency: { env: 'GOOGLE_BOOKS_CONCURRENCY', type: 'integer', minimum: 1, default: 4 },
+        maxRetries: { env: 'GOOGLE_BOOKS_MAX_RETRIES', type: 'integer', minimum: 0, default: 3 },
+        cacheTtlHours: { env: 'GOOGLE_BOOKS_CACHE_TTL_HOURS', type: 'number', exclusiveMinimum: 0, default: 24 * 7 }
+    },
+    bookProviders: {
+        // Queried in this order; later providers fill in what earlier ones lack
+        names: {
+            env: 'BOOK_PROVIDERS',
+            type: 'array',
+            items: { type: 'string', enum: ['google-books', 'open-library'] },
+            minItems: 1,
+            uniqueItems: true,
+            default: ['google-books', 'open-library']
+        },
+        openLibraryConcurrency: { env: 'OPEN_LIBRARY_CONCURRENCY', type: 'integer', minimum: 1, default: 4 },
+        fixtures: { env: 'BOOK_PROVIDER_FIXTURES', type: 'string', enum: ['live', 'record', 'replay'], default: 'live' },
+        fixturesDir: { env: 'BOOK_PROVIDER_FIXTURES_DIR', type: 'string', default: path.join(ROOT, 'fixtures', 'book-providers') }
+    },
+    health: {
+        cacheSeconds: { env: 'HEALTH_CACHE_SECONDS', type: 'number', minimum: 0, default: 30 },
+        checkTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', minimum: 1, default: 3000 },
+        queueWarn: { env: 'HEALTH_QUEUE_WARN', type: 'integer', minimum: 1, default: 100 },
+        // Set by the deploy; read from .git otherwise
+        gitCommit: { env: 'GIT_COMMIT', type: 'string', minLength: 1 }
+    },
+    usage: {
+        pricesConfig: { env: 'PRICES_CONFIG', type: 'string', default: path.join(__dirname, 'prices.json') }
+    },
+    prompts: {
+        dir: { env: 'PROMPTS_DIR', type: 'string', default: path.join(ROOT, 'prompts') }
+    },
+    guardrails: {
+        rulesConfig: { env: 'GUARDRAILS_CONFIG', type: 'string', default: path.join(__dirname, 'guardrails.json') },
+        // Run in this order on input, and on output for policies that moderate it
+        stages: {
+            env: 'GUARDRAIL_STAGES',
+            type: 'array',
+            items: { type: 'string', enum: ['rules', 'openai-moderation'] },
+            uniqueItems: true,
+            default: ['rules']
+        },
+        moderationUrl: { env: 'MODERATION_URL', type: 'string', format: 'url', default: 'https://api.openai.com/v1/moderations' },
+        // Defaults to OPENAI_API_KEY
+        moderationApiKey: { env: 'MODERATION_API_KEY', type: 'string', minLength: 1, secret: true },
+        moderationModel: { env: 'MODERATION_MODEL', type: 'string', minLength: 1, default: 'omni-moderation-latest' },
+        moderationTimeoutMs: { env: 'MODERATION_TIMEOUT_MS', type: 'integer', minimum: 1, default: 10000 }
+    }
+};
+
+// Settings each model provider can't work without
+const PROVIDER_SETTINGS = {
+    openai: ['OPENAI_BASE_URL', 'OPENAI_API_KEY'],
+    anthropic: ['ANTHROPIC_API_KEY'],
+    ollama: []
+};
+
+// "provider:model", or a bare model name for the OpenAI-compatible provider
+const MODEL_SPEC = { type: 'string', pattern: `^((${Object.keys(PROVIDER_SETTINGS).join('|')}):.+|[^:]+)$` };
+
+const MODELS_SCHEMA = {
+    type: 'object',
+    required: ['default'],
+    additionalProperties: false,
+    properties: {
+        default: MODEL_SPEC,
+        routes: { type: 'object', additionalProperties: MODEL_SPEC },
+        allowlist: { type: 'array', items: MODEL_SPEC },
+        fallbacks: { type: 'object', additionalProperties: { type: 'array', items: MODEL_SPEC } }
+    }
+};
+
+const POLICY_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        allowSystemPrompt: { type: 'boolean' },
+        maxInputChars: { type: 'integer', minimum: 1 },
+        blockedTopics: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        moderateOutput: { type: 'boolean' }
+    }
+};
+
+const GUARDRAILS_SCHEMA = {
+    type: 'object',
+    required: ['policies'],
+    additionalProperties: false,
+    properties: {
+        policies: {
+            type: 'object',
+            required: ['default'],
+            additionalProperties: false,
+            properties: {
+                default: { ...POLICY_SCHEMA, required: ['allowSystemPrompt', 'maxInputChars', 'blockedTopics', 'moderateOutput'] },
+                apps: { type: 'object', additionalProperties: POLICY_SCHEMA }
+            }
+        },
+        injectionPatterns: { type: 'array', items: { type: 'string' } },
+        topics: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['patterns'],
+                additionalProperties: false,
+                properties: {
+                    description: { type: 'string' },
+                    patterns: { type: 'array', items: { type: 'string' }, minItems: 1 }
+                }
+            }
+        }
+    }
+};
+
+const SOURCE_NAMES = {
+    default: 'the default',
+    file: 'the config file',
+    ecosystem: 'ecosystem.config.js',
+    env: 'the environment'
+};
+
+/**
+ * The configuration is invalid; `problems` has one readable line per setting
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isLeaf(node) {
+    return typeof node.type === 'string';
+}
+
+/**
+ * Leaf settings with their dotted path, e.g. `{ path: 'server.port', env: 'PORT', ... }`
+ */
+function flatten(node, prefix = []) {
+    return Object.entries(node).flatMap(([key, child]) => isLeaf(child) ?
+        [{ ...child, path: [...prefix, key].join('.'), keys: [...prefix, key] }] :
+        flatten(child, [...prefix, key]));
+}
+
+const LEAVES = flatten(SETTINGS);
+
+function toJsonSchema(node) {
+    if (isLeaf(node)) {
+        const { env, secret, default: defaultValue, ...schema } = node;
+        return schema;
+    }
+
+    return {
+        type: 'object',
+        additionalProperties: false,
+        properties: Object.fromEntries(Object.entries(node).map(([key, child]) => [key, toJsonSchema(child)]))
+    };
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+ajv.addFormat('url', value => /^https?:\/\/[^\s/]+/.test(value));
+const validateSettings = ajv.compile(toJsonSchema(SETTINGS));
+const validateModels = ajv.compile(MODELS_SCHEMA);
+const validateGuardrails = ajv.compile(GUARDRAILS_SCHEMA);
+
+function getIn(object, keys) {
+    return keys.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setIn(object, keys, value) {
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), object);
+    parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * An environment variable's value for a setting: lists are comma-separated, the
+ * rest is left to the schema's type coercion
+ */
+function fromEnv(leaf, value) {
+    if (leaf.type === 'array') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+}
+
+/**
+ * Environment variables set for this environment in ecosystem.config.js: its
+ * `env` block, then `env_<NODE_ENV>`. Under PM2 they're already in the
+ * environment; this applies them when the server is started with plain node too.
+ */
+function readEcosystemEnv(environment) {
+    if (!fs.existsSync(ECOSYSTEM_FILE)) {
+        return {};
+    }
+
+    const app = require(ECOSYSTEM_FILE).apps?.[0] || {};
+    return { ...app.env, ...app[`env_${environment}`] };
+}
+
+function readJsonFile(file, what) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`${what} ${file} could not be read: ${error.message}`]);
+    }
+}
+
+/**
+ * Read and validate a JSON config file, adding what is wrong with it to problems
+ * @returns {Object|undefined} - The file's contents, if valid
+ */
+function loadFile(file, what, validateFile, problems) {
+    let contents;
+
+    try {
+        contents = readJsonFile(file, what);
+    } catch (error) {
+        problems.push(...error.problems);
+        return undefined;
+    }
+
+    if (!validateFile(contents)) {
+        for (const error of validateFile.errors) {
+            problems.push(`${what} ${file}: ${error.instancePath || '/'} ${error.message}`);
+        }
+        return undefined;
+    }
+
+    return contents;
+}
+
+function describeValue(value) {
+    return Array.isArray(value) ? JSON.stringify(value.join(',')) : JSON.stringify(value);
+}
+
+/**
+ * Typed, validated configuration. Each setting comes from, in increasing priority:
+ * its default, the JSON config file (APP_CONFIG, or config/app.json if it exists),
+ * the ecosystem.config.js environment block for NODE_ENV, and the environment
+ * (including .env). Invalid settings and missing settings of the providers that
+ * serve routed models fail startup with every problem listed.
+ */
+class Config {
+    /**
+     * @param {Object} [env] - Environment variables
+     * @throws {ConfigError}
+     */
+    constructor(env = process.env) {
+        const environment = env.NODE_ENV || 'development';
+        const configFile = env.APP_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+        const fileValues = configFile ? readJsonFile(configFile, 'Config file') : {};
+        const ecosystemEnv = readEcosystemEnv(environment);
+
+        const values = {};
+        const sources = {};
+
+        for (const leaf of LEAVES) {
+            let value = leaf.default;
+            let source = 'default';
+
+            if (getIn(fileValues, leaf.keys) !== undefined) {
+                value = getIn(fileValues, leaf.keys);
+                source = 'file';
+            }
+            for (const [layer, layerSource] of [[ecosystemEnv, 'ecosystem'], [env, 'env']]) {
+                if (layer[leaf.env] !== undefined && layer[leaf.env] !== '') {
+                    value = fromEnv(leaf, String(layer[leaf.env]));
+                    source = layerSource;
+                }
+            }
+
+            if (value !== undefined) {
+                setIn(values, leaf.keys, value);
+                sources[leaf.path] = source;
+            }
+        }
+
+        // Typos in the config file are reported rather than ignored
+        const problems = unknownKeys(SETTINGS, fileValues)
+            .map(key => `Unknown setting "${key}" in config file ${configFile}`);
+
+        // Coerces the environment's strings to the settings' types in place
+        if (!validateSettings(values)) {
+            for (const error of validateSettings.errors) {
+                problems.push(this.describeError(error, values, sources));
+            }
+        }
+
+        Object.assign(this, values);
+
+        Object.defineProperties(this, {
+            sources: { value: sources },
+            configFile: { value: configFile },
+            ecosystemEnv: { value: ecosystemEnv }
+        });
+
+        this.loadModels(problems);
+        this.loadGuardrails(problems);
+
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+    }
+
+    /**
+     * A readable line for a schema error, naming the setting, its environment
+     * variable and where the bad value came from
+     */
+    describeError(error, values, sources) {
+        const keys = error.instancePath.split('/').filter(Boolean);
+
+        // Errors in list items have the item's index in their path
+        const leaf = LEAVES.find(candidate => keys.slice(0, candidate.keys.length).join('.') === candidate.path);
+        if (!leaf) {
+            return `${error.instancePath || '/'} ${error.message}`;
+        }
+
+        const message = error.keyword === 'enum' ?
+            `must be one of ${error.params.allowedValues.join(', ')}` :
+            error.keyword === 'format' ? 'must be an http(s) URL' : error.message;
+        const value = leaf.secret ? '[redacted]' : describeValue(getIn(values, leaf.keys));
+
+        return `${leaf.env} (${leaf.path}) ${message}, got ${value} from ${SOURCE_NAMES[sources[leaf.path]]}`;
+    }
+
+    /**
+     * Load and check config/models.json (MODELS_CONFIG); the providers that serve
+     * the default model or a task route must have their settings
+     */
+    loadModels(problems) {
+        const file = this.providers.modelsConfig;
+        const models = loadFile(file, 'Models config', validateModels, problems);
+
+        if (!models) {
+            return;
+        }
+
+        Object.defineProperty(this, 'models', { value: models, enumerable: true });
+
+        const routed = new Set([models.default, ...Object.values(models.routes || {})].map(providerOf));
+        for (const provider of routed) {
+            for (const variable of this.missingProviderSettings(provider)) {
+                problems.push(`${variable} is required: ${provider} serves routed models in ${file}`);
+            }
+        }
+    }
+
+    /**
+     * Load and check config/guardrails.json (GUARDRAILS_CONFIG): its patterns must
+     * compile, policies may only block topics it defines, and the moderation stage
+     * needs an API key
+     */
+    loadGuardrails(problems) {
+        const file = this.guardrails.rulesConfig;
+        const rules = loadFile(file, 'Guardrails config', validateGuardrails, problems);
+
+        if (!rules) {
+            return;
+        }
+
+        Object.defineProperty(this, 'guardrailRules', { value: rules, enumerable: true });
+
+        const patterns = [
+            ...(rules.injectionPatterns || []).map(pattern => ['injectionPatterns', pattern]),
+            ...Object.entries(rules.topics || {}).flatMap(([topic, { patterns: topicPatterns }]) =>
+                topicPatterns.map(pattern => [`topics.${topic}`, pattern]))
+        ];
+        for (const [where, pattern] of patterns) {
+            try {
+                new RegExp(pattern, 'iu');
+            } catch (error) {
+                problems.push(`Guardrails config ${file}: ${where} has an invalid pattern: ${error.message}`);
+            }
+        }
+
+        const policies = { default: rules.policies.default, ...rules.policies.apps };
+        for (const [name, policy] of Object.entries(policies)) {
+            for (const topic of policy.blockedTopics || []) {
+                if (!rules.topics || !rules.topics[topic]) {
+                    problems.push(`Guardrails config ${file}: the ${name} policy blocks unknown topic "${topic}"`);
+                }
+            }
+        }
+
+        if (this.guardrails.stages.includes('openai-moderation') && !this.guardrails.moderationApiKey && !this.providers.openai?.apiKey) {
+            problems.push('MODERATION_API_KEY or OPENAI_API_KEY is required: GUARDRAIL_STAGES includes openai-moderation');
+        }
+    }
+
+    /**
+     * Settings a model provider needs that aren't set
+     * @param {string} provider - Provider name
+     * @returns {Array<string>} - Their environment variable names
+     */
+    missingProviderSettings(provider) {
+        return (PROVIDER_SETTINGS[provider] || [])
+            .filter(variable => getIn(this, LEAVES.find(leaf => leaf.env === variable).keys) === undefined);
+    }
+
+    /**
+     * Every setting with its environment variable and where its value came from;
+     * secrets show only whether they are set
+     * @returns {Object}
+     */
+    redacted() {
+        return {
+            environment: this.server.environment,
+            configFile: this.configFile,
+            ecosystem: Object.keys(this.ecosystemEnv).length > 0 ? ECOSYSTEM_FILE : null,
+            settings: LEAVES.map(leaf => {
+                const value = getIn(this, leaf.keys);
+                return {
+                    name: leaf.path,
+                    env: leaf.env,
+                    value: leaf.secret && value !== undefined ? '[redacted]' : value ?? null,
+                    source: this.sources[leaf.path] || null
+                };
+            }),
+            models: this.models,
+            guardrails: this.guardrailRules
+        };
+    }
+}
+
+// Same rule as providers.parseModelSpec
+function providerOf(spec) {
+    return spec.includes(':') ? spec.slice(0, spec.indexOf(':')) : 'openai';
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Dotted paths in the config file that aren't settings
+ */
+function unknownKeys(node, fileValues, prefix = []) {
+    if (!isObject(fileValues)) {
+        return prefix.length > 0 ? [`${prefix.join('.')} (a section, not a value)`] : ['(the file must hold an object)'];
+    }
+
+    return Object.entries(fileValues).flatMap(([key, value]) => {
+        if (!node[key]) {
+            return [[...prefix, key].join('.')];
+        }
+        return isLeaf(node[key]) ? [] : unknownKeys(node[key], value, [...prefix, key]);
+    });
+}
+
+/**
+ * Load the configuration, or exit listing what is wrong with it
+ */
+function load() {
+    try {
+        return new Config();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        process.stderr.write(`${error.message}\n`);
+        process.exit(1);
+    }
+}
+
+module.exports = load();
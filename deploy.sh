@@ -7,5 +7,8 @@ if ! command -v pm2 &> /dev/null; then
     npm install -g pm2
 fi
 
+# Don't restart into a configuration the server would refuse to start with
+NODE_ENV=production npm run config:check || exit 1
+
 # Start/restart the application with PM2
 pm2 restart ecosystem.config.js --env production
\ No newline at end of file
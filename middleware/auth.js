@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const config = require('../config');
+const apiKeyService = require('../services/apiKeyService');
+const TokenBucketLimiter = require('../services/rateLimiter');
+const { AuthenticationError, ForbiddenError, RateLimitError } = require('../services/errors');
+
+// Routes reachable without an API key
+const PUBLIC_PATHS = ['/api3/health', '/api3/health/live', '/api3/health/ready'];
+const PUBLIC_PREFIXES = ['/api3/api-docs'];
+
+const { rateLimit } = config.auth;
+
+const ADMIN_KEY = { id: 'admin', app: 'admin', scopes: ['*'] };
+
+const ipLimiter = new TokenBucketLimiter({
+    capacity: rateLimit.ipCapacity,
+    refillPerSecond: rateLimit.ipRefillPerSecond
+});
+
+const keyLimiter = new TokenBucketLimiter({
+    capacity: rateLimit.keyCapacity,
+    refillPerSecond: rateLimit.keyRefillPerSecond
+});
+
+// Keep idle buckets from piling up
+setInterval(() => {
+    ipLimiter.prune();
+    keyLimiter.prune();
+}, 60 * 1000).unref();
+
+function isPublic(req) {
+    // Mounted under /api3, so req.path alone is relative to the mount point
+    const path = req.baseUrl + req.path;
+    return PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+/**
+ * Read the key from `X-API-Key` or `Authorization: Bearer <key>`
+ */
+function getRequestKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+        return header;
+    }
+
+    const authorization = req.get('Authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Per-IP rate limit, applied to every non-public route before authentication
+ */
+function limitByIp(req, res, next) {
+    if (isPublic(req)) {
+        return next();
+    }
+
+    const result = ipLimiter.take(req.ip);
+
+    if (!result.allowed) {
+        return next(new RateLimitError("Too many requests from this IP address", result.retryAfter));
+    }
+
+    next();
+}
+
+/**
+ * The record for a key: ADMIN_API_KEY, or an active key from the key store
+ * @returns {Promise<Object|null>}
+ */
+async function resolveKey(key) {
+    if (config.auth.adminApiKey && safeEqual(key, config.auth.adminApiKey)) {
+        return ADMIN_KEY;
+    }
+
+    return apiKeyService.verifyKey(key);
+}
+
+/**
+ * Resolve the caller's API key, then apply the per-key rate limit and daily quota.
+ * The key record is available to later handlers as `req.apiKey`.
+ * The ADMIN_API_KEY from the environment authenticates as an admin with every scope.
+ * Public routes need no key, but a valid one sent to them is still resolved
+ * (without counting against its limits), so they can show its holder more.
+ */
+async function authenticate(req, res, next) {
+    const key = getRequestKey(req);
+
+    if (isPublic(req)) {
+        try {
+            req.apiKey = (key && await resolveKey(key)) || undefined;
+            return next();
+        } catch (error) {
+            return next(error);
+        }
+    }
+
+    if (!key) {
+        return next(new AuthenticationError('API_KEY_REQUIRED', "API key is required"));
+    }
+
+    try {
+        const record = await resolveKey(key);
+
+        if (record === ADMIN_KEY) {
+            req.apiKey = record;
+            return next();
+        }
+
+        if (!record) {
+            return next(new AuthenticationError('INVALID_API_KEY', "Invalid API key"));
+        }
+
+        const rate = keyLimiter.take(record.id, record.rateLimit || {});
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+
+        if (!rate.allowed) {
+            return next(new RateLimitError("Rate limit exceeded for this API key", rate.retryAfter));
+        }
+
+        const quota = await apiKeyService.consumeQuota(record);
+
+        if (!quota.allowed) {
+            return next(new RateLimitError("Daily quota exceeded for this API key", quota.retryAfter, 'QUOTA_EXCEEDED'));
+        }
+
+        req.apiKey = record;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Whether the request's key was granted the scope (or "*")
+ * @param {Object} req
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(req, scope) {
+    const scopes = req.apiKey?.scopes || [];
+    return scopes.includes('*') || scopes.includes(scope);
+}
+
+/**
+ * Only let through keys granted the given scope (or "*")
+ * @param {string} scope - e.g. "chat", "vision", "extract", "prompts", "images", "books", "library", "metrics", "admin"
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!hasScope(req, scope)) {
+            return next(new ForbiddenError(`API key is missing the "${scope}" scope`));
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    limitByIp,
+    authenticate,
+    hasScope,
+    requireScope
+};
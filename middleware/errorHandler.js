@@ -0,0 +1,44 @@
+const { NotFoundError, toApiError } = require('../services/errors');
+const logger = require('../services/logger');
+
+/**
+ * Catch-all for requests no route handled
+ */
+function notFound(req, res, next) {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
+}
+
+/**
+ * Central error handler: every error reaches the client as RFC 7807
+ * `application/problem+json` with a stable `code`. Unexpected errors are
+ * logged and reported as INTERNAL_ERROR without their internals. The code is
+ * also left in `res.locals.errorCode` for the access log.
+ * (Express recognizes error handlers by their four parameters, so `next` stays.)
+ */
+function errorHandler(error, req, res, next) {
+    const apiError = toApiError(error);
+
+    if (apiError.code === 'INTERNAL_ERROR') {
+        logger.error('Unhandled error', { method: req.method, path: req.originalUrl.split('?')[0], error });
+    }
+
+    // For the access log
+    res.locals.errorCode = apiError.code;
+
+    if (res.headersSent) {
+        return res.end();
+    }
+
+    if (apiError.retryAfter !== undefined) {
+        res.set('Retry-After', String(apiError.retryAfter));
+    }
+
+    res.status(apiError.status)
+        .type('application/problem+json')
+        .json(apiError.toProblem(req.originalUrl));
+}
+
+module.exports = {
+    notFound,
+    errorHandler
+};
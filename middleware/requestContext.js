@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+
+// Client-supplied request IDs are echoed only if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:@-]{1,128}$/;
+
+/**
+ * Route template for metrics and logs, e.g. "/api3/library/books/:id";
+ * requests no route handled share one label to keep the metric small
+ */
+function routeLabel(req) {
+    return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+/**
+ * First middleware: give the request an ID (the client's `X-Request-Id` or a new
+ * UUID), echo it in the response, make it the logging context for everything the
+ * request does, and when the response is done (however it was sent) write an
+ * access log entry and record its latency.
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const start = process.hrtime.bigint();
+
+    function done() {
+        res.removeListener('finish', done);
+        res.removeListener('close', done);
+
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = routeLabel(req);
+        // A client that disconnects first leaves no status
+        const aborted = !res.writableFinished;
+
+        metrics.httpRequestDuration.observe({ method: req.method, route, status: aborted ? 'aborted' : res.statusCode }, seconds);
+
+        const level = res.statusCode >= 500 ? 'error' : 'info';
+        logger.log(level, 'Request completed', {
+            requestId,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            ...(aborted && { aborted }),
+            ...(res.locals.errorCode && { errorCode: res.locals.errorCode }),
+            keyId: req.apiKey?.id,
+            app: req.apiKey?.app,
+            ip: req.ip
+        });
+    }
+
+    res.on('finish', done);
+    res.on('close', done);
+
+    logger.withContext({ requestId }, next);
+}
+
+module.exports = {
+    requestContext
+};
@@ -0,0 +1,291 @@
+const bodyParser = require('body-parser');
+const multer = require('multer');
+const imageIngest = require('../services/imageIngest');
+const { ApiError } = require('../services/errors');
+
+const IMAGE_MIME_TYPES = Object.values(imageIngest.IMAGE_TYPES);
+
+// Content types read as a raw image body
+const RAW_IMAGE_TYPES = ['image/*', 'application/octet-stream'];
+
+// "data:image/png;base64," and friends
+const DATA_URI_PREFIX = /^data:[^,]*;base64,/;
+
+function reject(next, code, message) {
+    return next(new ApiError(code, message));
+}
+
+function megabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Decode base64 or a base64 data URI, or return null if it's neither
+ */
+function decodeBase64(value) {
+    const base64 = value.replace(DATA_URI_PREFIX, '').replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+        return null;
+    }
+    return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Turn a multer error into the error code and message sent to the client
+ */
+function multipartError(error, { field, maxBytes, maxFiles = 1, tooLargeCode }) {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+        case 'LIMIT_FIELD_VALUE':
+            return [tooLargeCode, `Upload is too large: the limit is ${megabytes(maxBytes)}`];
+        case 'LIMIT_UNEXPECTED_FILE':
+            return ['INVALID_REQUEST', `Unexpected file field "${error.field}". Upload the file as "${field}".`];
+        case 'LIMIT_FILE_COUNT':
+            return ['INVALID_REQUEST', maxFiles === 1 ? 'Upload one file at a time' : `Upload at most ${maxFiles} files`];
+        default:
+            return ['INVALID_REQUEST', `Malformed multipart body: ${error.message}`];
+    }
+}
+
+/**
+ * Upload middleware. Accepts the file as a multipart field, as the raw request
+ * body (for the content types in rawTypes) or as base64 or a data URI in a JSON
+ * field, and puts it on `req.upload` as `{ buffer, mimeType, size, source, originalName }`.
+ *
+ * Files are kept in memory and bounded by maxBytes, so there are no temp files to
+ * clean up. Errors are passed on as ApiErrors: IMAGE_REQUIRED or INVALID_REQUEST (missing
+ * or malformed), IMAGE_TOO_LARGE or PAYLOAD_TOO_LARGE (over maxBytes) and INVALID_IMAGE
+ * (type not allowed, judged by the file's content).
+ *
+ * @param {Object} options
+ * @param {string} options.field - Multipart file field
+ * @param {string|null} options.bodyField - JSON field holding base64 or a data URI, or null for none
+ * @param {number} options.maxBytes
+ * @param {Array<string>|null} options.types - Allowed MIME types, detected from the content; null for any file
+ * @param {Array<string>} options.rawTypes - Request content types read as the raw file
+ * @param {boolean} options.required - Reject requests without a file
+ * @param {string} options.missingMessage - Error for a missing file
+ * @returns {Function} - Express middleware
+ */
+function createUpload({ field, bodyField, maxBytes, types, rawTypes, required, missingMessage }) {
+    const multipart = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, fieldSize: Math.ceil(maxBytes * 4 / 3) + 1024, files: 1 }
+    }).single(field);
+    const raw = bodyParser.raw({ type: rawTypes, limit: maxBytes });
+    const missingCode = types ? 'IMAGE_REQUIRED' : 'INVALID_REQUEST';
+    const tooLargeCode = types ? 'IMAGE_TOO_LARGE' : 'PAYLOAD_TOO_LARGE';
+
+    function accept(req, res, next, { buffer, source, originalName = null, declaredType = null }) {
+        if (buffer.length === 0) {
+            return reject(next, missingCode, 'Upload is empty');
+        }
+        if (buffer.length > maxBytes) {
+            return reject(next, tooLargeCode, `Upload is too large: ${megabytes(buffer.length)} is over the ${megabytes(maxBytes)} limit`);
+        }
+
+        let mimeType = declaredType;
+        if (types) {
+            const detected = imageIngest.detectImageType(buffer);
+            if (!detected || !types.includes(detected.mimeType)) {
+                return reject(next, 'INVALID_IMAGE', `Unsupported file type. Send ${types.join(', ')}.`);
+            }
+            mimeType = detected.mimeType;
+        }
+
+        req.upload = { buffer, mimeType, size: buffer.length, source, originalName };
+        next();
+    }
+
+    function fromBody(req, res, next) {
+        const value = bodyField && req.body && req.body[bodyField];
+
+        if (value) {
+            if (typeof value !== 'string') {
+                return reject(next, 'INVALID_REQUEST', `${bodyField} must be base64 or a data URI`);
+            }
+            // Check the size before decoding
+            if (Math.floor(value.length * 3 / 4) > maxBytes + 1024) {
+                return reject(next, tooLargeCode, `Upload is too large: the limit is ${megabytes(maxBytes)}`);
+            }
+
+            const buffer = decodeBase64(value);
+            if (!buffer) {
+                return reject(next, 'INVALID_REQUEST', `${bodyField} must be base64 or a data URI`);
+            }
+            return accept(req, res, next, { buffer, source: 'base64' });
+        }
+
+        if (required) {
+            return reject(next, missingCode, missingMessage);
+        }
+        next();
+    }
+
+    return (req, res, next) => {
+        if (req.is('multipart/form-data')) {
+            return multipart(req, res, (error) => {
+                if (error) {
+                    const [code, message] = multipartError(error, { field, maxBytes, tooLargeCode });
+                    return reject(next, code, message);
+                }
+                if (req.file) {
+                    return accept(req, res, next, {
+                        buffer: req.file.buffer,
+                        source: 'multipart',
+                        originalName: req.file.originalname,
+                        declaredType: req.file.mimetype
+                    });
+                }
+                fromBody(req, res, next);
+            });
+        }
+
+        if (rawTypes.length > 0 && req.is(rawTypes)) {
+            return raw(req, res, (error) => {
+                if (error) {
+                    return error.type === 'entity.too.large' ?
+                        reject(next, tooLargeCode, `Upload is too large: the limit is ${megabytes(maxBytes)}`) :
+                        reject(next, 'INVALID_REQUEST', `Could not read the request body: ${error.message}`);
+                }
+                const buffer = req.body;
+                // Nothing left for the handler to read as fields
+                req.body = {};
+                accept(req, res, next, { buffer, source: 'raw', declaredType: req.get('Content-Type') });
+            });
+        }
+
+        fromBody(req, res, next);
+    };
+}
+
+/**
+ * Upload middleware for several images at once: a multipart field repeated once per
+ * file, or a JSON array of base64 strings or data URIs. Puts them on `req.uploads`
+ * in order, each as `{ buffer, mimeType, size, source, originalName }`.
+ *
+ * Only the request as a whole is checked here (count, size, encoding); whether each
+ * file is a readable image is left to the caller, so one bad photo can be reported
+ * on its own instead of failing the batch.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.field="images"] - Multipart file field
+ * @param {string} [options.bodyField="images"] - JSON field holding the array
+ * @param {number} [options.maxFiles=10]
+ * @param {number} [options.maxBytes] - Per file; defaults to IMAGE_MAX_BYTES
+ * @returns {Function} - Express middleware
+ */
+function imageBatchUpload({ field = 'images', bodyField = 'images', maxFiles = 10, maxBytes = imageIngest.imageLimits().maxBytes } = {}) {
+    const multipart = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, fieldSize: Math.ceil(maxBytes * 4 / 3) + 1024, files: maxFiles }
+    }).array(field, maxFiles);
+
+    function accept(req, res, next, uploads) {
+        if (uploads.length === 0) {
+            return reject(next, 'IMAGE_REQUIRED', `Images are required. Upload files as "${field}" or provide "${bodyField}" as an array of base64 image data.`);
+        }
+        if (uploads.length > maxFiles) {
+            return reject(next, 'INVALID_REQUEST', `Upload at most ${maxFiles} files`);
+        }
+
+        for (const [index, upload] of uploads.entries()) {
+            if (upload.buffer.length === 0) {
+                return reject(next, 'IMAGE_REQUIRED', `Image ${index} is empty`);
+            }
+            if (upload.buffer.length > maxBytes) {
+                return reject(next, 'IMAGE_TOO_LARGE', `Image ${index} is too large: ${megabytes(upload.buffer.length)} is over the ${megabytes(maxBytes)} limit`);
+            }
+        }
+
+        req.uploads = uploads.map(upload => ({
+            ...upload,
+            mimeType: imageIngest.detectImageType(upload.buffer)?.mimeType || null,
+            size: upload.buffer.length
+        }));
+        next();
+    }
+
+    function fromBody(req, res, next) {
+        const values = (req.body && req.body[bodyField]) || [];
+        if (!Array.isArray(values)) {
+            return reject(next, 'INVALID_REQUEST', `${bodyField} must be an array of base64 strings or data URIs`);
+        }
+        if (values.length > maxFiles) {
+            return reject(next, 'INVALID_REQUEST', `Upload at most ${maxFiles} files`);
+        }
+
+        const uploads = [];
+        for (const [index, value] of values.entries()) {
+            const buffer = typeof value === 'string' ? decodeBase64(value) : null;
+            if (!buffer) {
+                return reject(next, 'INVALID_REQUEST', `${bodyField}[${index}] must be base64 or a data URI`);
+            }
+            uploads.push({ buffer, source: 'base64', originalName: null });
+        }
+
+        accept(req, res, next, uploads);
+    }
+
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            return fromBody(req, res, next);
+        }
+
+        multipart(req, res, (error) => {
+            if (error) {
+                const [code, message] = multipartError(error, { field, maxBytes, maxFiles, tooLargeCode: 'IMAGE_TOO_LARGE' });
+                return reject(next, code, message);
+            }
+            if (!req.files || req.files.length === 0) {
+                return fromBody(req, res, next);
+            }
+            accept(req, res, next, req.files.map(file => ({
+                buffer: file.buffer,
+                source: 'multipart',
+                originalName: file.originalname
+            })));
+        });
+    };
+}
+
+/**
+ * Image upload for the vision and image routes: multipart, a raw image body,
+ * or base64 / a data URI in a JSON field. The type is checked from the image's
+ * magic bytes, so HEIC photos sent as application/octet-stream are fine.
+ * @param {Object} [options] - See createUpload; defaults to field and bodyField "image",
+ * IMAGE_MAX_BYTES and every image type the ingestion step can read
+ */
+function imageUpload(options = {}) {
+    return createUpload({
+        field: 'image',
+        bodyField: 'image',
+        maxBytes: imageIngest.imageLimits().maxBytes,
+        types: IMAGE_MIME_TYPES,
+        rawTypes: RAW_IMAGE_TYPES,
+        required: true,
+        missingMessage: 'Image data is required. Upload a file, send the image as the request body, or provide base64 image data.',
+        ...options
+    });
+}
+
+/**
+ * Multipart file upload of any type, e.g. a CSV export. Bodies that aren't
+ * multipart are left for the other body parsers.
+ * @param {Object} options - See createUpload; field and maxBytes are required
+ */
+function fileUpload(options) {
+    return createUpload({
+        bodyField: null,
+        types: null,
+        rawTypes: [],
+        required: false,
+        ...options
+    });
+}
+
+module.exports = {
+    imageUpload,
+    imageBatchUpload,
+    fileUpload
+};
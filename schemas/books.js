@@ -0,0 +1,58 @@
+/**
+ * JSON Schemas for the book endpoints. The same schemas constrain the model's
+ * structured output, validate it, and are published in the Swagger docs, so the
+ * iOS Swift models can be kept in sync from one place.
+ *
+ * Model output schemas follow OpenAI strict mode: every property is required
+ * and optional values are nullable.
+ */
+
+const scannedBook = {
+    type: 'object',
+    description: 'A book identified on a shelf photo',
+    properties: {
+        title: { type: 'string', description: 'Book title' },
+        author: { type: ['string', 'null'], description: 'Author name' },
+        isbn: { type: ['string', 'null'], description: 'ISBN, if printed and visible' },
+        genre: { type: ['string', 'null'] },
+        pageCount: { type: ['integer', 'null'], minimum: 1 }
+    },
+    required: ['title', 'author', 'isbn', 'genre', 'pageCount'],
+    additionalProperties: false
+};
+
+const scanBooksOutput = {
+    name: 'scan_books',
+    schema: {
+        type: 'object',
+        properties: {
+            books: {
+                type: 'array',
+                items: scannedBook
+            }
+        },
+        required: ['books'],
+        additionalProperties: false
+    }
+};
+
+const bookTitlesOutput = {
+    name: 'book_titles',
+    schema: {
+        type: 'object',
+        properties: {
+            titles: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 }
+            }
+        },
+        required: ['titles'],
+        additionalProperties: false
+    }
+};
+
+module.exports = {
+    scannedBook,
+    scanBooksOutput,
+    bookTitlesOutput
+};
@@ -0,0 +1,41 @@
+/**
+ * Output schemas for the generic /extract endpoint. The caller's JSON Schema is
+ * wrapped under `data`, so any schema (not just objects) can be requested and
+ * per-field confidence can travel alongside it.
+ */
+
+const confidence = {
+    type: 'object',
+    description: 'Confidence from 0 to 1 for each extracted field, keyed by JSON Pointer (e.g. "/total")',
+    additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+};
+
+/**
+ * @param {Object} schema - Caller-supplied JSON Schema for the extracted data
+ * @param {boolean} includeConfidence - Also ask for per-field confidence scores
+ * @returns {{name: string, schema: Object, strict: boolean}}
+ */
+function extractionOutput(schema, includeConfidence) {
+    const properties = { data: schema };
+    const required = ['data'];
+
+    if (includeConfidence) {
+        properties.confidence = confidence;
+    }
+
+    return {
+        name: 'extraction',
+        // Caller schemas rarely meet OpenAI strict-mode rules, so they are enforced by validation instead
+        strict: false,
+        schema: {
+            type: 'object',
+            properties,
+            required
+        }
+    };
+}
+
+module.exports = {
+    confidence,
+    extractionOutput
+};
@@ -0,0 +1,40 @@
+const books = require('./books');
+const extraction = require('./extraction');
+
+/**
+ * Convert a JSON Schema to the OpenAPI 3.0 dialect used by the Swagger docs:
+ * `type: ['x', 'null']` becomes `type: 'x', nullable: true`
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - OpenAPI 3.0 schema object
+ */
+function toOpenApiSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toOpenApiSchema);
+    }
+
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const converted = {};
+
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && Array.isArray(value)) {
+            const types = value.filter(type => type !== 'null');
+            converted.type = types[0];
+            if (types.length < value.length) {
+                converted.nullable = true;
+            }
+        } else {
+            converted[key] = toOpenApiSchema(value);
+        }
+    }
+
+    return converted;
+}
+
+module.exports = {
+    books,
+    extraction,
+    toOpenApiSchema
+};
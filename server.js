@@ -1,19 +1,46 @@
-require('dotenv').config();
+const config = require('./config');
 const express = require('express');
 const bodyParser = require('body-parser');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const multer = require('multer');
-const fs = require('fs');
 const openaiService = require('./services/openaiService');
 const googleBooksService = require('./services/googleBooksService');
+const bookScanService = require('./services/bookScanService');
+const isbnLookupService = require('./services/isbnLookupService');
+const libraryService = require('./services/libraryService');
+const bookExchange = require('./services/bookExchange');
+const imageService = require('./services/imageService');
+const conversationService = require('./services/conversationService');
+const apiKeyService = require('./services/apiKeyService');
+const usageService = require('./services/usageService');
+const promptService = require('./services/promptService');
+const responseCache = require('./services/responseCache');
+const jobService = require('./services/jobService');
+const healthService = require('./services/healthService');
+const guardrails = require('./services/guardrails');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const { requestContext } = require('./middleware/requestContext');
+const { limitByIp, authenticate, hasScope, requireScope } = require('./middleware/auth');
+const { imageUpload, imageBatchUpload, fileUpload } = require('./middleware/upload');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { ERROR_CODES, ApiError, ValidationError, UpstreamError, toApiError } = require('./services/errors');
+const { books: bookSchemas, extraction: extractionSchemas, toOpenApiSchema } = require('./schemas');
 
 const app = express();
-const port = process.env.PORT || 5000;
+const port = config.server.port;
+
+// Behind a reverse proxy, rate limit by the client address rather than the proxy's
+app.set('trust proxy', config.server.trustProxy);
+
+// Request ID, access log and latency metrics
+app.use(requestContext);
 
 // Response time middleware
 app.use((req, res, next) => {
     const startTime = Date.now();
+    res.locals.startTime = startTime;
+    res.locals.usageMeter = usageService.createMeter();
 
     // Override res.json to include time taken
     const originalJson = res.json;
@@ -21,9 +48,20 @@ app.use((req, res, next) => {
         const endTime = Date.now();
         const timeTaken = endTime - startTime;
 
-        // Add timeTaken to response body
+        // Add timeTaken (and token usage, if any upstream calls were made) to response body
         if (body && typeof body === 'object') {
             body.timeTaken = `${timeTaken}ms`;
+
+            if (res.locals.usageMeter.hasUsage()) {
+                body.usage = res.locals.usageMeter.summary();
+                // The provider:model(s) that actually served the request, fallbacks included
+                res.set('X-Model', body.usage.models.join(', '));
+            }
+
+            const cacheStatus = res.locals.usageMeter.cacheStatus();
+            if (cacheStatus) {
+                body.cache = cacheStatus;
+            }
         }
 
         return originalJson.call(this, body);
@@ -32,10 +70,50 @@ app.use((req, res, next) => {
     next();
 });
 
+// Usage accounting middleware. A client that disconnects mid-stream closes the
+// response without finishing it; its usage is recorded once the stream winds down.
+app.use((req, res, next) => {
+    let recorded = false;
+
+    async function record() {
+        if (recorded) {
+            return;
+        }
+        recorded = true;
+
+        await res.locals.streaming;
+        const meter = res.locals.usageMeter;
+
+        if (!meter.hasUsage()) {
+            return;
+        }
+
+        await usageService.record({
+            endpoint: req.route ? req.baseUrl + req.route.path : req.path,
+            keyId: req.apiKey?.id,
+            app: req.apiKey?.app,
+            meter
+        });
+    }
+
+    const onDone = () => record().catch(error => logger.error('Usage recording failed', { error }));
+    res.on('finish', onDone);
+    res.on('close', onDone);
+
+    next();
+});
+
 // Increase payload size limits
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 
+// Every error response is RFC 7807 problem details
+const problemContent = {
+    'application/problem+json': {
+        schema: { $ref: '#/components/schemas/Problem' }
+    }
+};
+
 // Swagger definition
 const swaggerOptions = {
     definition: {
@@ -43,7 +121,9 @@ const swaggerOptions = {
         info: {
             title: 'OpenAI API Express Server',
             version: '1.0.0',
-            description: 'Express server for OpenAI API integration',
+            description: 'Express server for OpenAI API integration.\n\n' +
+                'Every response has an `X-Request-Id` header: the one sent with the request, or a generated ID. ' +
+                'It is logged with everything the request does, so quote it when reporting a problem.',
         },
         servers: [
             {
@@ -51,7 +131,70 @@ const swaggerOptions = {
                 description: 'Development server',
             },
         ],
+        security: [
+            { ApiKeyAuth: [] }
+        ],
         components: {
+            securitySchemes: {
+                ApiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Per-app API key. `Authorization: Bearer <key>` is also accepted.'
+                }
+            },
+            responses: {
+                Unauthorized: {
+                    description: 'API key missing (API_KEY_REQUIRED) or invalid (INVALID_API_KEY)',
+                    content: problemContent
+                },
+                Forbidden: {
+                    description: 'API key lacks the scope required by this route (MISSING_SCOPE)',
+                    content: problemContent
+                },
+                GuardrailBlocked: {
+                    description: 'Blocked by the guardrails: the input matches a blocked topic or moderation category (INPUT_BLOCKED) or looks like a prompt injection (PROMPT_INJECTION), or the model\'s answer was blocked (OUTPUT_BLOCKED). `details` has the `stage` that blocked it and the `category`.',
+                    content: problemContent
+                },
+                ForbiddenOrSystemPrompt: {
+                    description: 'API key lacks the scope required by this route (MISSING_SCOPE), or the app\'s guardrail policy doesn\'t allow setting the system prompt (SYSTEM_PROMPT_NOT_ALLOWED)',
+                    content: problemContent
+                },
+                InputTooLong: {
+                    description: 'The input is longer than the app\'s guardrail policy allows (INPUT_TOO_LONG)',
+                    content: problemContent
+                },
+                ModelUnavailable: {
+                    description: 'The model and its fallbacks are failing and their circuit breakers are open (MODEL_UNAVAILABLE); `retryAfter` is in seconds',
+                    content: problemContent
+                },
+                InvalidModelOutput: {
+                    description: 'The model output did not match the expected schema, even after one retry (INVALID_MODEL_OUTPUT)',
+                    content: {
+                        'application/problem+json': {
+                            schema: { $ref: '#/components/schemas/ValidationError' }
+                        }
+                    }
+                },
+                ImageTooLarge: {
+                    description: 'The image is over the byte (IMAGE_MAX_BYTES) or pixel (IMAGE_MAX_PIXELS) limit (IMAGE_TOO_LARGE)',
+                    content: problemContent
+                },
+                UnsupportedImage: {
+                    description: 'Not a JPEG, PNG, WebP, GIF, TIFF, AVIF or HEIC image (by its content), or corrupt (INVALID_IMAGE)',
+                    content: problemContent
+                },
+                TooManyRequests: {
+                    description: 'Rate limit (RATE_LIMITED) or daily quota (QUOTA_EXCEEDED) exceeded, or the model provider is rate limiting us (PROVIDER_RATE_LIMITED). Retry after the number of seconds in the `Retry-After` header.',
+                    headers: {
+                        'Retry-After': {
+                            schema: { type: 'integer' },
+                            description: 'Seconds to wait before retrying'
+                        }
+                    },
+                    content: problemContent
+                }
+            },
             schemas: {
                 Base64Image: {
                     type: 'object',
@@ -62,6 +205,567 @@ const swaggerOptions = {
                             description: 'Base64 encoded image'
                         }
                     }
+                },
+                ScannedBook: toOpenApiSchema(bookSchemas.scannedBook),
+                BatchScan: {
+                    type: 'object',
+                    properties: {
+                        images: {
+                            type: 'array',
+                            description: 'Result for each image, in upload order: its books, or why it failed',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    books: {
+                                        type: 'array',
+                                        items: { $ref: '#/components/schemas/ScannedBook' }
+                                    },
+                                    error: { type: 'string' },
+                                    status: { type: 'integer', description: 'HTTP status the image would have had on /scan-books' },
+                                    code: { $ref: '#/components/schemas/ErrorCode' }
+                                }
+                            }
+                        },
+                        books: {
+                            type: 'array',
+                            description: 'Books from all images, with duplicates merged',
+                            items: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/ScannedBook' },
+                                    {
+                                        type: 'object',
+                                        properties: {
+                                            images: {
+                                                type: 'array',
+                                                items: { type: 'integer' },
+                                                description: 'Indexes of the images the book was seen in'
+                                            }
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        summary: {
+                            type: 'object',
+                            properties: {
+                                images: { type: 'integer' },
+                                succeeded: { type: 'integer' },
+                                failed: { type: 'integer' },
+                                detected: { type: 'integer', description: 'Books found, counting duplicates' },
+                                unique: { type: 'integer', description: 'Books after merging duplicates' }
+                            }
+                        }
+                    }
+                },
+                BookRecord: {
+                    type: 'object',
+                    description: 'Book metadata from Google Books',
+                    properties: {
+                        id: { type: 'string', description: 'Google Books volume ID' },
+                        title: { type: 'string' },
+                        authors: { type: 'array', items: { type: 'string' } },
+                        publisher: { type: 'string' },
+                        publishedDate: { type: 'string' },
+                        description: { type: 'string', nullable: true },
+                        pageCount: { type: 'integer' },
+                        categories: { type: 'array', items: { type: 'string' } },
+                        averageRating: { type: 'number' },
+                        imageLinks: {
+                            type: 'object',
+                            properties: {
+                                thumbnail: { type: 'string' }
+                            }
+                        },
+                        previewLink: { type: 'string' },
+                        isbn10: { type: 'string' },
+                        isbn13: { type: 'string' }
+                    }
+                },
+                IsbnLookup: {
+                    type: 'object',
+                    properties: {
+                        isbn: {
+                            type: 'object',
+                            description: 'The requested ISBN in both formats',
+                            properties: {
+                                isbn10: { type: 'string', nullable: true, description: 'Null for 979-prefixed ISBNs' },
+                                isbn13: { type: 'string' }
+                            }
+                        },
+                        found: { type: 'boolean' },
+                        lookupFailed: { type: 'boolean', description: 'Every provider lookup failed, so the book may exist; retry later' },
+                        book: {
+                            nullable: true,
+                            allOf: [
+                                { $ref: '#/components/schemas/BookRecord' },
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        ids: {
+                                            type: 'object',
+                                            description: 'Identifiers of the book at each provider that contributed',
+                                            properties: {
+                                                googleBooks: { type: 'string' },
+                                                openLibrary: { type: 'string' }
+                                            }
+                                        }
+                                    }
+                                }
+                            ]
+                        },
+                        sources: {
+                            type: 'array',
+                            description: 'Providers the record was merged from, in priority order',
+                            items: { type: 'string', enum: ['google-books', 'open-library'] }
+                        },
+                        errors: {
+                            type: 'array',
+                            description: 'Providers whose lookup failed',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    provider: { type: 'string' },
+                                    error: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                MatchedBook: {
+                    type: 'object',
+                    properties: {
+                        detected: { $ref: '#/components/schemas/ScannedBook' },
+                        found: { type: 'boolean', description: 'Whether the best candidate is a confident match' },
+                        confidence: { type: 'number', minimum: 0, maximum: 1, description: 'Fuzzy title/author similarity of the best candidate' },
+                        match: {
+                            allOf: [{ $ref: '#/components/schemas/BookRecord' }],
+                            nullable: true
+                        },
+                        alternatives: {
+                            type: 'array',
+                            description: 'Other candidates, best first, each with its own confidence',
+                            items: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/BookRecord' },
+                                    { type: 'object', properties: { confidence: { type: 'number' } } }
+                                ]
+                            }
+                        },
+                        lookupFailed: { type: 'boolean', description: 'Google Books could not be reached, so the book may exist; retry later' },
+                        error: { type: 'string', description: 'Why the lookup failed' }
+                    }
+                },
+                ImageTransformOptions: {
+                    type: 'object',
+                    properties: {
+                        width: { type: 'integer', minimum: 1, maximum: 10000 },
+                        height: { type: 'integer', minimum: 1, maximum: 10000 },
+                        fit: {
+                            type: 'string',
+                            enum: ['cover', 'contain', 'fill', 'inside', 'outside'],
+                            default: 'inside',
+                            description: 'How to fit the image in width x height, as in CSS object-fit ("inside" keeps the whole image within the box)'
+                        },
+                        withoutEnlargement: { type: 'boolean', default: true, description: 'Never upscale' },
+                        crop: {
+                            description: 'Region to keep, in pixels of the upright image: an object or "left,top,width,height"',
+                            oneOf: [
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        left: { type: 'integer' },
+                                        top: { type: 'integer' },
+                                        width: { type: 'integer' },
+                                        height: { type: 'integer' }
+                                    }
+                                },
+                                { type: 'string', example: '0,0,800,600' }
+                            ]
+                        },
+                        rotate: { type: 'integer', minimum: -360, maximum: 360, description: 'Degrees clockwise, after auto-orient' },
+                        flip: { type: 'boolean', default: false, description: 'Mirror vertically' },
+                        flop: { type: 'boolean', default: false, description: 'Mirror horizontally' },
+                        autoOrient: { type: 'boolean', default: true, description: 'Rotate according to the EXIF orientation' },
+                        stripMetadata: { type: 'boolean', default: true, description: 'Drop EXIF (including GPS), ICC and XMP metadata' },
+                        format: {
+                            type: 'string',
+                            enum: ['jpeg', 'png', 'webp', 'avif'],
+                            description: 'Output format; defaults to the input format, or JPEG if that cannot be written'
+                        },
+                        quality: { type: 'integer', minimum: 1, maximum: 100, default: 80 },
+                        maxBytes: {
+                            type: 'integer',
+                            minimum: 1024,
+                            description: 'Target size for lossy formats; quality, then dimensions, are reduced until the image fits'
+                        },
+                        output: { type: 'string', enum: ['binary', 'base64'], default: 'binary' }
+                    }
+                },
+                TransformedImage: {
+                    type: 'object',
+                    properties: {
+                        image: { type: 'string', description: 'Base64 encoded image data' },
+                        format: { type: 'string' },
+                        mimeType: { type: 'string' },
+                        width: { type: 'integer' },
+                        height: { type: 'integer' },
+                        size: { type: 'integer', description: 'Size in bytes' },
+                        quality: { type: 'integer', nullable: true, description: 'Quality used (null for PNG)' },
+                        targetMet: { type: 'boolean', description: 'With maxBytes: whether the image fits' },
+                        original: {
+                            type: 'object',
+                            properties: {
+                                format: { type: 'string' },
+                                width: { type: 'integer' },
+                                height: { type: 'integer' },
+                                size: { type: 'integer' },
+                                orientation: { type: 'integer', nullable: true, description: 'EXIF orientation of the input' }
+                            }
+                        }
+                    }
+                },
+                ReadingStatus: {
+                    type: 'string',
+                    enum: ['want_to_read', 'reading', 'read', 'abandoned']
+                },
+                ExchangeFormat: {
+                    type: 'string',
+                    enum: ['goodreads', 'storygraph', 'json'],
+                    description: 'Goodreads library CSV, StoryGraph CSV, or JSON (`{ "books": [...] }`)'
+                },
+                ImportRowError: {
+                    type: 'object',
+                    properties: {
+                        row: { type: 'integer', description: 'Position of the book in the import, from 1 (the CSV header is not counted)' },
+                        title: { type: 'string', nullable: true },
+                        errors: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                LibraryBook: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        title: { type: 'string' },
+                        authors: { type: 'array', items: { type: 'string' } },
+                        isbn10: { type: 'string', nullable: true },
+                        isbn13: { type: 'string', nullable: true },
+                        googleBooksId: { type: 'string', nullable: true },
+                        publisher: { type: 'string', nullable: true },
+                        publishedDate: { type: 'string', nullable: true },
+                        description: { type: 'string', nullable: true },
+                        pageCount: { type: 'integer', nullable: true },
+                        categories: { type: 'array', items: { type: 'string' } },
+                        thumbnail: { type: 'string', nullable: true },
+                        status: { $ref: '#/components/schemas/ReadingStatus' },
+                        rating: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+                        notes: { type: 'string', nullable: true },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        shelves: { type: 'array', description: 'IDs of the shelves holding this book', items: { type: 'string' } },
+                        source: { type: 'string', nullable: true, description: 'Where the book was added from, e.g. "scan-books"' },
+                        startedAt: { type: 'string', format: 'date-time', nullable: true },
+                        finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                LibraryBookChanges: {
+                    type: 'object',
+                    properties: {
+                        status: { $ref: '#/components/schemas/ReadingStatus' },
+                        rating: { type: 'integer', minimum: 1, maximum: 5, nullable: true },
+                        notes: { type: 'string', nullable: true },
+                        tags: { type: 'array', items: { type: 'string' } }
+                    }
+                },
+                Shelf: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        name: { type: 'string' },
+                        description: { type: 'string', nullable: true },
+                        bookCount: { type: 'integer' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                FieldConfidence: toOpenApiSchema(extractionSchemas.confidence),
+                Liveness: {
+                    type: 'object',
+                    properties: {
+                        status: { type: 'string', enum: ['ok'] },
+                        version: { type: 'string', description: 'From package.json', example: '1.0.0' },
+                        commit: { type: 'string', nullable: true, description: 'Deployed git commit (GIT_COMMIT, or read from .git)' },
+                        uptime: { type: 'number', description: 'Server uptime in seconds' },
+                        timestamp: { type: 'string', format: 'date-time', description: 'Current server time' },
+                        environment: { type: 'string', example: 'development' }
+                    }
+                },
+                HealthStatus: {
+                    type: 'string',
+                    enum: ['ok', 'degraded', 'down']
+                },
+                Readiness: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Liveness' },
+                        {
+                            type: 'object',
+                            properties: {
+                                status: { $ref: '#/components/schemas/HealthStatus' },
+                                checks: {
+                                    type: 'object',
+                                    description: 'By component: config, sharp, storage, queue, the routed model providers and google-books. Only `status` unless the API key has the metrics or admin scope.',
+                                    additionalProperties: {
+                                        type: 'object',
+                                        properties: {
+                                            status: { $ref: '#/components/schemas/HealthStatus' },
+                                            error: { type: 'string' },
+                                            durationMs: { type: 'integer' },
+                                            cached: { type: 'boolean', description: 'Storage and upstream checks only: served from the check cache' },
+                                            checkedAt: { type: 'string', format: 'date-time', description: 'Storage and upstream checks only: when the check last ran' }
+                                        },
+                                        additionalProperties: true
+                                    }
+                                }
+                            }
+                        }
+                    ]
+                },
+                ErrorCode: {
+                    type: 'string',
+                    enum: Object.keys(ERROR_CODES),
+                    description: 'Stable error code. Codes are never renamed, so clients can map them to their own messages.\n\n' +
+                        Object.entries(ERROR_CODES).map(([code, { status, title }]) => `- \`${code}\` (${status}): ${title}`).join('\n')
+                },
+                Problem: {
+                    type: 'object',
+                    description: 'RFC 7807 problem details, sent as `application/problem+json` for every error',
+                    properties: {
+                        type: { type: 'string', description: 'URI for the error code', example: 'urn:microtools:error:book-not-found' },
+                        title: { type: 'string', description: 'Summary of the error code' },
+                        status: { type: 'integer' },
+                        detail: { type: 'string', description: 'What went wrong with this request' },
+                        code: { $ref: '#/components/schemas/ErrorCode' },
+                        instance: { type: 'string', description: 'The request path' },
+                        details: { description: 'Extra machine-readable detail, e.g. validation errors or per-item results' },
+                        retryAfter: { type: 'integer', description: 'Seconds to wait before retrying, as in the Retry-After header' },
+                        error: { type: 'string', deprecated: true, description: 'Same as detail, for clients of the old `{ error }` responses' }
+                    }
+                },
+                ValidationError: {
+                    type: 'object',
+                    allOf: [{ $ref: '#/components/schemas/Problem' }],
+                    properties: {
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    path: { type: 'string', description: 'JSON Pointer to the invalid value' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                ApiKey: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        app: { type: 'string' },
+                        name: { type: 'string' },
+                        scopes: { type: 'array', items: { type: 'string' } },
+                        rateLimit: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                capacity: { type: 'integer' },
+                                refillPerSecond: { type: 'number' }
+                            }
+                        },
+                        dailyQuota: { type: 'integer', nullable: true },
+                        keyPreview: { type: 'string', example: 'mt_AbCd...' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        revokedAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                },
+                PromptVersion: {
+                    type: 'integer',
+                    description: 'Optional prompt template version to pin, instead of the weighted selection used for A/B tests'
+                },
+                PromptTemplate: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        variables: { type: 'array', items: { type: 'string' } },
+                        image: { type: 'boolean', description: 'Whether the template runs on an image' },
+                        versions: {
+                            type: 'array',
+                            items: { $ref: '#/components/schemas/PromptTemplateVersion' }
+                        }
+                    }
+                },
+                PromptTemplateVersion: {
+                    type: 'object',
+                    properties: {
+                        version: { type: 'integer' },
+                        weight: { type: 'number', description: 'Relative share of traffic when no version is requested; 0 disables' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        system: { type: 'string' },
+                        user: { type: 'string', description: 'User prompt with {{variable}} placeholders' },
+                        model: { type: 'string' },
+                        temperature: { type: 'number' },
+                        maxTokens: { type: 'integer' },
+                        schema: { type: 'object', description: 'Optional JSON Schema for structured output' }
+                    }
+                },
+                JobType: {
+                    type: 'string',
+                    enum: ['scan-books', 'extract-book-titles', 'analyze-image']
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        type: { $ref: '#/components/schemas/JobType' },
+                        status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+                        attempts: { type: 'integer' },
+                        result: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Same body the synchronous endpoint returns for this task'
+                        },
+                        error: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                status: { type: 'integer' },
+                                code: { $ref: '#/components/schemas/ErrorCode' },
+                                message: { type: 'string' }
+                            }
+                        },
+                        callbackUrl: { type: 'string', nullable: true },
+                        webhook: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                status: { type: 'string', enum: ['delivered', 'failed'] },
+                                attempts: { type: 'integer' },
+                                lastError: { type: 'string', nullable: true }
+                            }
+                        },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                        startedAt: { type: 'string', format: 'date-time', nullable: true },
+                        completedAt: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                },
+                ModelSelection: {
+                    type: 'string',
+                    description: 'Optional model override from the server allowlist, as "provider:model" (openai, anthropic or ollama) or a bare model name',
+                    example: 'openai:gpt-4o-mini'
+                },
+                Conversation: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        keyId: { type: 'string', description: 'The API key that created the conversation; only it (or an admin key) can read, delete or add to it' },
+                        app: { type: 'string' },
+                        systemPrompt: { type: 'string' },
+                        messages: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    role: { type: 'string', enum: ['user', 'assistant'] },
+                                    content: { type: 'string' },
+                                    createdAt: { type: 'string', format: 'date-time' }
+                                }
+                            }
+                        },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                Usage: {
+                    type: 'object',
+                    description: 'Token usage and estimated cost of the upstream model calls made for this request. Image tokens are an estimate and are already included in promptTokens.',
+                    properties: {
+                        promptTokens: { type: 'integer' },
+                        completionTokens: { type: 'integer' },
+                        imageTokens: { type: 'integer' },
+                        totalTokens: { type: 'integer' },
+                        estimatedCost: { type: 'number' },
+                        currency: { type: 'string', example: 'USD' },
+                        models: {
+                            type: 'array',
+                            items: { type: 'string', example: 'openai:gpt-4o' },
+                            description: 'The provider:model specs that served the model calls, also sent in the `X-Model` header'
+                        },
+                        prompts: {
+                            type: 'array',
+                            items: { type: 'string', example: 'scan-books@2' },
+                            description: 'Prompt template versions used, as name@version'
+                        },
+                        fallbacks: {
+                            type: 'array',
+                            description: 'Calls served by a fallback model because the routed model was failing (see `fallbacks` in config/models.json). Omitted when there were none.',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    from: { type: 'string', example: 'openai:gpt-4o' },
+                                    to: { type: 'string', example: 'openai:gpt-4o-mini' }
+                                }
+                            }
+                        }
+                    }
+                },
+                UsageTotals: {
+                    type: 'object',
+                    properties: {
+                        calls: { type: 'integer', description: 'Number of upstream model calls' },
+                        promptTokens: { type: 'integer' },
+                        completionTokens: { type: 'integer' },
+                        imageTokens: { type: 'integer' },
+                        totalTokens: { type: 'integer' },
+                        estimatedCost: { type: 'number' }
+                    }
+                },
+                CompletionEventStream: {
+                    type: 'string',
+                    description: 'Server-Sent Events: `delta` events carry `{ content }` token chunks, a final `done` event carries `{ usage, timeTaken }`, and an `error` event is sent if the upstream request fails. When the app\'s guardrail policy moderates output, the answer is checked a sentence (at most 200 characters) at a time before it is sent, so `delta` events carry whole sentences; an `error` event with code OUTPUT_BLOCKED ends the stream in place of the blocked sentence.',
+                    example: 'event: delta\ndata: {"content":"Hello"}\n\nevent: done\ndata: {"usage":{"promptTokens":12,"completionTokens":1,"imageTokens":0,"totalTokens":13,"estimatedCost":0.00004,"currency":"USD","models":["openai:gpt-4o"]},"timeTaken":"840ms"}\n\n'
+                }
+            },
+            parameters: {
+                CacheBypass: {
+                    in: 'query',
+                    name: 'cache',
+                    required: false,
+                    schema: {
+                        type: 'boolean',
+                        default: true
+                    },
+                    description: 'Set to false (or send `Cache-Control: no-cache`) to skip the response cache. Vision responses include `cache: "hit"` or `"miss"`.'
+                },
+                LibraryUser: {
+                    in: 'header',
+                    name: 'X-User-Id',
+                    required: true,
+                    schema: {
+                        type: 'string'
+                    },
+                    description: "Your app's ID for the user. Libraries are kept per API key app and user."
+                },
+                Stream: {
+                    in: 'query',
+                    name: 'stream',
+                    required: false,
+                    schema: {
+                        type: 'boolean'
+                    },
+                    description: 'Stream the completion as Server-Sent Events'
                 }
             }
         }
@@ -73,16 +777,147 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api3', express.static('public'));
 app.use('/api3/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Everything below requires an API key, except the public paths in middleware/auth.js
+app.use('/api3', limitByIp, authenticate);
+
 app.use(bodyParser.json());
 
-const upload = multer({ dest: 'uploads/' });
+// Import files, as a multipart upload or a CSV body
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const importUpload = fileUpload({ field: 'file', maxBytes: IMPORT_MAX_BYTES });
+const csvBody = bodyParser.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_BYTES });
+
+/**
+ * Options every OpenAIService call takes from the request: the client's model and
+ * prompt version choices, the request's usage meter, and whether the response cache
+ * may be used (bypassed with `Cache-Control: no-cache`, `?cache=false` or `"cache": false`)
+ */
+function serviceOptions(req, res) {
+    const body = req.body || {};
+    const bypassCache = (req.get('Cache-Control') || '').includes('no-cache')
+        || req.query.cache === 'false'
+        || body.cache === false
+        || body.cache === 'false';
+
+    return {
+        model: body.model,
+        promptVersion: body.promptVersion,
+        meter: res.locals.usageMeter,
+        cache: !bypassCache
+    };
+}
+
+/**
+ * The file to import: an uploaded `file`, a CSV/text body or a JSON body
+ */
+function importInput(req) {
+    if (req.upload) {
+        return req.upload.buffer.toString('utf8');
+    }
+
+    if (typeof req.body === 'string' || (req.body && req.is('application/json'))) {
+        return req.body;
+    }
+
+    throw new ValidationError('Send the books to import as a file upload, a text/csv body or a JSON body', { code: 'INVALID_IMPORT' });
+}
+
+/**
+ * Send an export as a file download
+ * @param {{contentType: string, filename: string, body: string}} file
+ */
+function sendExport(res, { contentType, filename, body }) {
+    res.set('Content-Type', contentType);
+    res.attachment(filename);
+    res.send(body);
+}
+
+/**
+ * Owner of the library records a request may touch: the API key's app and the
+ * app's own user ID from the X-User-Id header
+ */
+function libraryOwner(req) {
+    const userId = req.get('X-User-Id');
+
+    if (!userId) {
+        throw new ValidationError('X-User-Id header is required', { code: 'USER_ID_REQUIRED' });
+    }
+
+    return { app: req.apiKey.app, userId };
+}
+
+// Streaming is requested with ?stream=true or an `Accept: text/event-stream` header
+function wantsEventStream(req) {
+    return req.query.stream === 'true' || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Forward a streamed completion to the client as Server-Sent Events.
+ * Emits `delta` events with each token chunk, then a `done` event with usage and timeTaken.
+ * Aborts the upstream request if the client disconnects first.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} runStream - Receives `{ onDelta, signal }` and resolves to `{ content, usage }`
+ */
+async function streamCompletionToClient(req, res, runStream) {
+    const controller = new AbortController();
+
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const streaming = runStream({
+        onDelta: (delta) => writeEvent(res, 'delta', { content: delta }),
+        signal: controller.signal,
+        meter: res.locals.usageMeter
+    });
+    // Usage is recorded after this settles, even if the client has gone
+    res.locals.streaming = streaming.catch(() => {});
+
+    try {
+        await streaming;
+
+        writeEvent(res, 'done', {
+            usage: res.locals.usageMeter.summary(),
+            timeTaken: `${Date.now() - res.locals.startTime}ms`
+        });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            return;
+        }
+        const apiError = toApiError(error);
+        if (apiError.code === 'INTERNAL_ERROR') {
+            logger.error('Streaming failed', { error });
+        }
+        res.locals.errorCode = apiError.code;
+        writeEvent(res, 'error', { error: apiError.message, code: apiError.code, status: apiError.status });
+    }
+
+    res.end();
+}
 
 /**
  * @swagger
  * /send-message:
  *   post:
  *     summary: Send a message to OpenAI API
- *     description: Sends a message to OpenAI API with an optional system prompt
+ *     description: Sends a message to OpenAI API with an optional system prompt. Set `stream=true` or accept `text/event-stream` to receive the completion as Server-Sent Events.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Stream'
  *     requestBody:
  *       required: true
  *       content:
@@ -97,7 +932,9 @@ const upload = multer({ dest: 'uploads/' });
  *                 description: The message to send to OpenAI
  *               systemPrompt:
  *                 type: string
- *                 description: Optional system prompt
+ *                 description: Optional system prompt, for apps whose guardrail policy allows it
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
  *     responses:
  *       200:
  *         description: Successful response from OpenAI
@@ -105,18 +942,51 @@ const upload = multer({ dest: 'uploads/' });
  *           application/json:
  *             schema:
  *               type: string
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/CompletionEventStream'
+ *       400:
+ *         description: Bad request - message missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenOrSystemPrompt'
+ *       413:
+ *         $ref: '#/components/responses/InputTooLong'
+ *       422:
+ *         $ref: '#/components/responses/GuardrailBlocked'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
  */
-app.post('/api3/send-message', async (req, res) => {
+app.post('/api3/send-message', requireScope('chat'), async (req, res, next) => {
     const { message, systemPrompt = '' } = req.body;
 
+    if (!message || typeof message !== 'string') {
+        return next(new ValidationError('Message is required'));
+    }
+
+    const guard = guardrails.guardFor(req.apiKey);
+
+    try {
+        await guard.checkInput({ text: message, systemPrompt });
+    } catch (error) {
+        return next(error);
+    }
+
+    if (wantsEventStream(req)) {
+        return streamCompletionToClient(req, res, (options) =>
+            openaiService.streamMessage(message, systemPrompt, { ...serviceOptions(req, res), ...options, guard }));
+    }
+
     try {
-        const response = await openaiService.sendMessage(message, systemPrompt);
+        const response = await openaiService.sendMessage(message, systemPrompt, { ...serviceOptions(req, res), guard });
         res.json({ message: response });
     } catch (error) {
-        console.error('Error:', error.response ? error.response.data : error.message);
-        res.status(500).send('Error processing request');
+        next(error);
     }
 });
 
@@ -125,10 +995,29 @@ app.post('/api3/send-message', async (req, res) => {
  * /analyze-image:
  *   post:
  *     summary: Analyze an image using OpenAI API
- *     description: Sends an image and prompt to OpenAI API for analysis
+ *     description: Sends an image and prompt to OpenAI API for analysis. Set `stream=true` or accept `text/event-stream` to receive the analysis as Server-Sent Events.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Stream'
+ *       - $ref: '#/components/parameters/CacheBypass'
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageFile
+ *               - prompt
+ *             properties:
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to analyze
+ *               prompt:
+ *                 type: string
+ *                 description: Prompt for image analysis
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
  *         application/json:
  *           schema:
  *             type: object
@@ -138,10 +1027,12 @@ app.post('/api3/send-message', async (req, res) => {
  *             properties:
  *               image:
  *                 type: string
- *                 description: Base64 encoded image data
+ *                 description: Base64 encoded image data, or a data URI
  *               prompt:
  *                 type: string
  *                 description: Prompt for image analysis
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
  *     responses:
  *       200:
  *         description: Successful analysis response
@@ -149,164 +1040,2018 @@ app.post('/api3/send-message', async (req, res) => {
  *           application/json:
  *             schema:
  *               type: string
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/CompletionEventStream'
+ *       400:
+ *         description: Bad request - image missing (IMAGE_REQUIRED) or prompt missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The image is over the byte or pixel limit (IMAGE_TOO_LARGE), or the prompt is longer than the app's guardrail policy allows (INPUT_TOO_LONG)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       422:
+ *         $ref: '#/components/responses/GuardrailBlocked'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
  */
-app.post('/api3/analyze-image', async (req, res) => {
-    const { image, prompt } = req.body;
+app.post('/api3/analyze-image', requireScope('vision'), imageUpload({ field: 'imageFile', bodyField: 'image' }), async (req, res, next) => {
+    const image = req.upload.buffer.toString('base64');
+    const { prompt } = req.body;
+
+    if (!prompt || typeof prompt !== 'string') {
+        return next(new ValidationError('Prompt is required'));
+    }
+
+    const guard = guardrails.guardFor(req.apiKey);
+
+    try {
+        await guard.checkInput({ text: prompt });
+    } catch (error) {
+        return next(error);
+    }
+
+    if (wantsEventStream(req)) {
+        return streamCompletionToClient(req, res, (options) =>
+            openaiService.streamImageAnalysis(image, prompt, { ...serviceOptions(req, res), ...options, guard }));
+    }
 
     try {
-        const analysis = await openaiService.analyzeImage(image, prompt);
+        const analysis = await openaiService.analyzeImage(image, prompt, { ...serviceOptions(req, res), guard });
         res.json({ analysis });
     } catch (error) {
-        console.error('Error:', error.response ? error.response.data : error.message);
-        res.status(500).send('Error processing request');
+        next(error);
     }
 });
 
 /**
  * @swagger
- * /scan-books:
+ * /conversations:
  *   post:
- *     summary: Scan books from image
- *     description: Analyze a bookshelf image and identify all books with their details
+ *     summary: Start a conversation
+ *     description: Creates a conversation whose message history is stored on the server
  *     tags:
- *       - Books
+ *       - Conversations
  *     requestBody:
- *       required: true
  *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               imageFile:
- *                 type: string
- *                 format: binary
- *                 description: Image file to upload and analyze
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - image
  *             properties:
- *               image:
+ *               systemPrompt:
  *                 type: string
- *                 description: Base64 encoded image data
+ *                 description: Optional system prompt used for every turn, for apps whose guardrail policy allows it
  *     responses:
- *       200:
- *         description: Successfully analyzed books
+ *       201:
+ *         description: Conversation created
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 books:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       title:
- *                         type: string
- *                       author:
- *                         type: string
- *                       isbn:
- *                         type: string
- *                       genre:
- *                         type: string
- *                       pageCount:
- *                         type: integer
- *       400:
- *         description: Bad request - image data missing
+ *               $ref: '#/components/schemas/Conversation'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenOrSystemPrompt'
+ *       413:
+ *         $ref: '#/components/responses/InputTooLong'
+ *       422:
+ *         $ref: '#/components/responses/GuardrailBlocked'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error
  */
-app.post('/api3/scan-books', upload.single('imageFile'), async (req, res) => {
-    let imageBase64;
+app.post('/api3/conversations', requireScope('chat'), async (req, res, next) => {
+    const { systemPrompt = '' } = req.body || {};
 
-    // Check if image is uploaded as a file or provided as base64
-    if (req.file) {
-        // Image uploaded as a file - convert to base64
-        const imageBuffer = fs.readFileSync(req.file.path);
-        imageBase64 = imageBuffer.toString('base64');
-
-        // Delete temporary file
-        fs.unlinkSync(req.file.path);
-    } else if (req.body.image) {
-        // Image provided as base64 string
-        imageBase64 = req.body.image;
-    } else {
-        return res.status(400).json({ error: "Image data is required. Either upload a file or provide base64 image data." });
+    try {
+        await guardrails.guardFor(req.apiKey).checkInput({ systemPrompt });
+        const conversation = await conversationService.createConversation(systemPrompt, req.apiKey);
+        res.status(201).json({ ...conversation });
+    } catch (error) {
+        next(error);
     }
+});
 
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   get:
+ *     summary: Get a conversation
+ *     description: Returns the conversation with its full message history
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Conversation not found (or created with another API key)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Delete a conversation
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Conversation deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Conversation not found (or created with another API key)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api3/conversations/:id', requireScope('chat'), async (req, res, next) => {
     try {
-        const books = await openaiService.scanBooks(imageBase64);
-        res.json({ books });
+        const conversation = await conversationService.getConversation(req.params.id, req.apiKey);
+        res.json({ ...conversation });
     } catch (error) {
-        console.error("API error:", error.message);
-
-        if (error.status) {
-            // Custom error with status
-            return res.status(error.status).json({ error: error.message });
-        }
-
-        const status = error.response?.status || 500;
-        const errorMessage = error.response?.data?.error?.message || "Error processing image";
+        next(error);
+    }
+});
 
-        res.status(status).json({ error: errorMessage });
+app.delete('/api3/conversations/:id', requireScope('chat'), async (req, res, next) => {
+    try {
+        await conversationService.deleteConversation(req.params.id, req.apiKey);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
     }
 });
 
 /**
  * @swagger
- * /convert-image:
+ * /conversations/{id}/messages:
  *   post:
- *     summary: Convert image to base64
- *     description: Upload an image and get its base64 representation for testing other endpoints
+ *     summary: Send a message in a conversation
+ *     description: Appends a user message, sends the recent history (trimmed to the token budget) to OpenAI and stores the reply
+ *     tags:
+ *       - Conversations
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - message
  *             properties:
- *               image:
+ *               message:
  *                 type: string
- *                 format: binary
- *                 description: Image file to convert
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
  *     responses:
  *       200:
- *         description: Successfully converted image
+ *         description: Assistant reply
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 image:
+ *                 conversationId:
  *                   type: string
- *                   description: Base64 encoded image
- */
-app.post('/api3/convert-image', upload.single('image'), (req, res) => {
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - message missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Conversation not found (or created with another API key)
+ *       413:
+ *         $ref: '#/components/responses/InputTooLong'
+ *       422:
+ *         description: Blocked by the guardrails (INPUT_BLOCKED, PROMPT_INJECTION, OUTPUT_BLOCKED); a blocked answer isn't added to the conversation
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
+ */
+app.post('/api3/conversations/:id/messages', requireScope('chat'), async (req, res, next) => {
+    const { message } = req.body;
+
+    if (!message) {
+        return next(new ValidationError('Message is required'));
+    }
+
+    try {
+        const guard = guardrails.guardFor(req.apiKey);
+        await guard.checkInput({ text: message });
+        const result = await conversationService.appendMessage(req.params.id, message, { ...serviceOptions(req, res), guard, apiKey: req.apiKey });
+        res.json({ conversationId: result.conversation.id, message: result.message });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /scan-books:
+ *   post:
+ *     summary: Scan books from image
+ *     description: Analyze a bookshelf image and identify all books with their details
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheBypass'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to upload and analyze
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 description: Base64 encoded image data, or a data URI
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
+ *     responses:
+ *       200:
+ *         description: Successfully analyzed books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScannedBook'
+ *       400:
+ *         description: Bad request - image data missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       404:
+ *         description: No books detected in the image
+ *       408:
+ *         description: The model request timed out
+ *       422:
+ *         $ref: '#/components/responses/InvalidModelOutput'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
+ */
+app.post('/api3/scan-books', requireScope('vision'), imageUpload({ field: 'imageFile' }), async (req, res, next) => {
+    const imageBase64 = req.upload.buffer.toString('base64');
+
+    try {
+        const books = await openaiService.scanBooks(imageBase64, serviceOptions(req, res));
+        res.json({ books });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /scan-books/batch:
+ *   post:
+ *     summary: Scan books from several images
+ *     description: |
+ *       Scans up to 10 photos, e.g. overlapping shots of one bookcase, and merges the books found in them.
+ *       Books are the same when their ISBNs match or their titles and authors are near-identical.
+ *       An image that fails is reported in `images` without failing the batch; the request only fails when every image does.
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheBypass'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageFiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Image files, one field per file
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                 description: Base64 encoded images, or data URIs
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *     responses:
+ *       200:
+ *         description: Per-image results and the merged books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchScan'
+ *       400:
+ *         description: No images, too many, or image data that isn't base64
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Every image failed; `details` has the per-image errors and the status is the first image's
+ */
+app.post('/api3/scan-books/batch', requireScope('vision'), imageBatchUpload({ field: 'imageFiles', bodyField: 'images' }), async (req, res, next) => {
+    const images = req.uploads.map(upload => upload.buffer.toString('base64'));
+
+    try {
+        const result = await bookScanService.scanBooksBatch(images, serviceOptions(req, res));
+
+        if (result.summary.succeeded === 0) {
+            return next(new ApiError(result.images[0].code, 'Every image in the batch failed', { details: result.images }));
+        }
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /extract:
+ *   post:
+ *     summary: Extract structured data with a caller-supplied JSON Schema
+ *     description: Extracts data matching the given JSON Schema from an image or from text. The model output is validated against the schema, with one retry on invalid output.
+ *     tags:
+ *       - Extraction
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheBypass'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - schema
+ *             properties:
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to extract from
+ *               text:
+ *                 type: string
+ *               schema:
+ *                 type: string
+ *                 description: JSON Schema, serialized as a JSON string
+ *               instructions:
+ *                 type: string
+ *               includeConfidence:
+ *                 type: boolean
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - schema
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 description: Base64 encoded image data (either image or text is required)
+ *               text:
+ *                 type: string
+ *                 description: Text to extract from
+ *               schema:
+ *                 type: object
+ *                 description: JSON Schema the extracted data must match
+ *                 example: { "type": "object", "properties": { "merchant": { "type": "string" }, "total": { "type": "number" } }, "required": ["merchant", "total"] }
+ *               instructions:
+ *                 type: string
+ *                 description: Optional extra guidance, e.g. "Amounts are in EUR"
+ *               includeConfidence:
+ *                 type: boolean
+ *                 description: Also return a 0-1 confidence per field, keyed by JSON Pointer
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *     responses:
+ *       200:
+ *         description: Extracted data matching the schema
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   description: Value matching the supplied schema
+ *                 confidence:
+ *                   $ref: '#/components/schemas/FieldConfidence'
+ *       400:
+ *         description: Bad request - input or schema missing, or schema invalid
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The image is over the byte or pixel limit (IMAGE_TOO_LARGE), or the text with its instructions is longer than the app's guardrail policy allows (INPUT_TOO_LONG)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       408:
+ *         description: The model request timed out
+ *       422:
+ *         description: The model output did not match the expected schema, even after one retry (INVALID_MODEL_OUTPUT), or the guardrails blocked the text or instructions (INPUT_BLOCKED, PROMPT_INJECTION) or the model's answer (OUTPUT_BLOCKED)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
+ */
+app.post('/api3/extract', requireScope('extract'), imageUpload({ field: 'imageFile', required: false }), async (req, res, next) => {
+    if (!req.upload && !req.body.text) {
+        return next(new ValidationError('Input is required. Upload an image file, or provide base64 image data or text.', { code: 'IMAGE_REQUIRED' }));
+    }
+    const imageBase64 = req.upload?.buffer.toString('base64');
+
+    let { schema, instructions, includeConfidence } = req.body;
+
+    // Multipart fields arrive as strings
+    if (typeof schema === 'string') {
+        try {
+            schema = JSON.parse(schema);
+        } catch (error) {
+            return next(new ValidationError('Schema must be valid JSON', { code: 'INVALID_SCHEMA' }));
+        }
+    }
+
+    if (!schema) {
+        return next(new ValidationError('A JSON Schema is required', { code: 'INVALID_SCHEMA' }));
+    }
+
+    const guard = guardrails.guardFor(req.apiKey);
+
+    try {
+        await guard.checkInput({ text: [instructions, req.body.text].filter(Boolean).join('\n\n') });
+
+        const result = await openaiService.extract({
+            image: imageBase64,
+            text: req.body.text,
+            schema,
+            instructions,
+            includeConfidence: includeConfidence === true || includeConfidence === 'true'
+        }, { ...serviceOptions(req, res), guard });
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /prompts:
+ *   get:
+ *     summary: List prompt templates
+ *     tags:
+ *       - Prompts
+ *     responses:
+ *       200:
+ *         description: Templates with their version history (prompt text omitted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api3/prompts', requireScope('prompts'), async (req, res, next) => {
+    try {
+        res.json({ templates: await promptService.listTemplates() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /prompts/{name}:
+ *   get:
+ *     summary: Get a prompt template
+ *     tags:
+ *       - Prompts
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The template with all versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Template not found
+ */
+app.get('/api3/prompts/:name', requireScope('prompts'), async (req, res, next) => {
+    try {
+        res.json({ ...await promptService.getTemplate(req.params.name) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /prompts/{name}/versions:
+ *   post:
+ *     summary: Add a prompt template version
+ *     description: Adds a new version to a template (creating the template if needed). Takes effect immediately, without a redeploy. Added versions are kept in the data directory, not in the git-tracked prompts directory.
+ *     tags:
+ *       - Prompts
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromptTemplateVersion'
+ *               - type: object
+ *                 required:
+ *                   - user
+ *                 properties:
+ *                   description:
+ *                     type: string
+ *                     description: Used when creating a new template
+ *                   variables:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Used when creating a new template
+ *                   image:
+ *                     type: boolean
+ *                     description: Used when creating a new template
+ *     responses:
+ *       201:
+ *         description: Version created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplateVersion'
+ *       400:
+ *         description: Bad request - invalid name, prompt or schema, a field of the wrong type, or a model not on the allowlist (MODEL_NOT_ALLOWED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/api3/prompts/:name/versions', requireScope('admin'), async (req, res, next) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No image file uploaded' });
+        const version = await promptService.addVersion(req.params.name, req.body || {});
+        res.status(201).json({ ...version });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /prompts/{name}/run:
+ *   post:
+ *     summary: Run a prompt template
+ *     description: Renders the template with the given variables and runs it. The response records which template version produced it.
+ *     tags:
+ *       - Prompts
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/CacheBypass'
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file, for image templates
+ *               variables:
+ *                 type: string
+ *                 description: Template variables, serialized as a JSON object
+ *               version:
+ *                 type: integer
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 description: Base64 encoded image data, for image templates
+ *               variables:
+ *                 type: object
+ *                 additionalProperties: true
+ *               version:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *     responses:
+ *       200:
+ *         description: Template output
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 output:
+ *                   description: Model output, parsed JSON when the template declares a schema
+ *                 template:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     version:
+ *                       type: integer
+ *       400:
+ *         description: Bad request - missing variables or image
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The image is over the byte or pixel limit (IMAGE_TOO_LARGE), or the text of the variables is longer than the app's guardrail policy allows (INPUT_TOO_LONG)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       404:
+ *         description: Template or version not found
+ *       408:
+ *         description: The model request timed out
+ *       422:
+ *         description: The model output did not match the expected schema, even after one retry (INVALID_MODEL_OUTPUT), or the guardrails blocked the variables (INPUT_BLOCKED, PROMPT_INJECTION) or the model's answer (OUTPUT_BLOCKED)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
+ */
+app.post('/api3/prompts/:name/run', requireScope('prompts'), imageUpload({ field: 'imageFile', required: false }), async (req, res, next) => {
+    const imageBase64 = req.upload?.buffer.toString('base64');
+
+    let { variables = {}, version } = req.body;
+
+    // Multipart fields arrive as strings
+    if (typeof variables === 'string') {
+        try {
+            variables = JSON.parse(variables);
+        } catch (error) {
+            return next(new ValidationError('Variables must be a JSON object'));
         }
+    }
+
+    const guard = guardrails.guardFor(req.apiKey);
 
-        // Read the file and convert to base64
-        const imageBuffer = fs.readFileSync(req.file.path);
-        const base64Image = imageBuffer.toString('base64');
+    try {
+        // The template itself is trusted; only the caller's variables are checked
+        const values = Object.values(variables ?? {}).map(value => typeof value === 'string' ? value : JSON.stringify(value));
+        await guard.checkInput({ text: values.join('\n\n') });
 
-        // Delete the temporary file
-        fs.unlinkSync(req.file.path);
+        const result = await openaiService.runPrompt(req.params.name, {
+            variables,
+            version,
+            image: imageBase64
+        }, { ...serviceOptions(req, res), guard });
 
-        res.json({
-            image: base64Image
-        });
+        res.json(result);
     } catch (error) {
-        console.error('Error converting image:', error);
-        res.status(500).json({ error: 'Failed to convert image' });
+        next(error);
     }
 });
 
+/**
+ * @swagger
+ * /jobs:
+ *   post:
+ *     summary: Queue a long-running vision task
+ *     description: Queues a scan-books, extract-book-titles or analyze-image task and returns a job ID immediately. Poll `GET /jobs/{id}` or pass a `callbackUrl` to be notified when it finishes. Jobs survive server restarts and transient failures are retried. Finished jobs are deleted after JOB_RETENTION_HOURS (7 days by default). The prompt is checked by the app's guardrails before the job is queued, and the answer once it runs; a blocked answer fails the job with OUTPUT_BLOCKED.
+ *     tags:
+ *       - Jobs
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 $ref: '#/components/schemas/JobType'
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to upload and analyze
+ *               prompt:
+ *                 type: string
+ *                 description: Prompt for analyze-image jobs
+ *               callbackUrl:
+ *                 type: string
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - image
+ *             properties:
+ *               type:
+ *                 $ref: '#/components/schemas/JobType'
+ *               image:
+ *                 type: string
+ *                 description: Base64 encoded image data, or a data URI
+ *               prompt:
+ *                 type: string
+ *                 description: Prompt for analyze-image jobs
+ *               callbackUrl:
+ *                 type: string
+ *                 description: URL that receives the finished job as a POST. Signed with `X-Job-Signature` when a webhook secret is configured. Must resolve to a public address, or be on the JOB_CALLBACK_HOSTS allowlist when one is configured.
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Bad request - unknown type, image missing, prompt missing for analyze-image, or a callbackUrl that isn't http(s) or points at a private address (INVALID_CALLBACK_URL)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The image is over the byte or pixel limit (IMAGE_TOO_LARGE), or the prompt is longer than the app's guardrail policy allows (INPUT_TOO_LONG)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       422:
+ *         $ref: '#/components/responses/GuardrailBlocked'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+app.post('/api3/jobs', requireScope('vision'), imageUpload({ field: 'imageFile', required: false }), async (req, res, next) => {
+    const imageBase64 = req.upload?.buffer.toString('base64');
+
+    const { type, prompt, callbackUrl, model } = req.body;
+
+    try {
+        // The job runs later under the same app's guardrails, which moderate its output
+        await guardrails.guardFor(req.apiKey).checkInput({ text: prompt });
+
+        const job = await jobService.createJob({
+            type,
+            input: { image: imageBase64, prompt },
+            callbackUrl,
+            model,
+            apiKey: req.apiKey
+        });
+
+        res.status(202).json(job);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get a job's status and result
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Job not found (created with another API key, or finished more than JOB_RETENTION_HOURS ago)
+ */
+app.get('/api3/jobs/:id', async (req, res, next) => {
+    try {
+        const job = await jobService.getJob(req.params.id, req.apiKey);
+        res.json(job);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /books/scan:
+ *   post:
+ *     summary: Scan books and match them against Google Books
+ *     description: Detects books (title and author) on a bookshelf photo, searches Google Books by title and author, and ranks several candidates by fuzzy title/author similarity. Returns the best match with a confidence score and the other candidates as "did you mean" alternatives.
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheBypass'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageFile:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to upload and analyze
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 description: Base64 encoded image data, or a data URI
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
+ *     responses:
+ *       200:
+ *         description: Detected books with their matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MatchedBook'
+ *       400:
+ *         description: Bad request - image data missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       404:
+ *         description: No books detected in the image
+ *       408:
+ *         description: The model request timed out
+ *       422:
+ *         $ref: '#/components/responses/InvalidModelOutput'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
+ */
+app.post('/api3/books/scan', requireScope('vision'), imageUpload({ field: 'imageFile' }), async (req, res, next) => {
+    const imageBase64 = req.upload.buffer.toString('base64');
+
+    try {
+        const books = await bookScanService.scanAndMatch(imageBase64, serviceOptions(req, res));
+        res.json({ books });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /books/isbn/{isbn}:
+ *   get:
+ *     summary: Look up a book by ISBN
+ *     description: Validates an ISBN-10 or ISBN-13 (hyphens allowed) and looks it up on Google Books, falling back to Open Library. Fields missing from the first match are filled in from the next provider.
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 978-0-441-01359-3
+ *     responses:
+ *       200:
+ *         description: Book found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IsbnLookup'
+ *       400:
+ *         description: Not a valid ISBN-10 or ISBN-13
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No provider knows this ISBN (ISBN_NOT_FOUND); `details` has the lookup result
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       502:
+ *         description: Every provider lookup failed (LOOKUP_FAILED); `details` has the lookup result with the provider errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+app.get('/api3/books/isbn/:isbn', requireScope('books'), async (req, res, next) => {
+    try {
+        const result = await isbnLookupService.lookupIsbn(req.params.isbn);
+
+        if (!result.found) {
+            return next(result.lookupFailed ?
+                new UpstreamError('LOOKUP_FAILED', `Every provider lookup failed for ISBN ${result.isbn.isbn13}`, { details: result }) :
+                new ApiError('ISBN_NOT_FOUND', `No book found for ISBN ${result.isbn.isbn13}`, { details: result }));
+        }
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /books/isbn:
+ *   post:
+ *     summary: Look up several books by ISBN
+ *     description: Batch version of GET /books/isbn/{isbn}. Invalid ISBNs are reported per entry rather than failing the request.
+ *     tags:
+ *       - Books
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isbns
+ *             properties:
+ *               isbns:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 example: ["0441013597", "978-0-14-032872-1"]
+ *     responses:
+ *       200:
+ *         description: One result per requested ISBN, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/IsbnLookup'
+ *                       - type: object
+ *                         properties:
+ *                           query:
+ *                             type: string
+ *                             description: The ISBN as requested
+ *                           error:
+ *                             type: string
+ *                             description: Why the ISBN is invalid
+ *                           code:
+ *                             $ref: '#/components/schemas/ErrorCode'
+ *       400:
+ *         description: Missing, empty or oversized isbns array
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api3/books/isbn', requireScope('books'), async (req, res, next) => {
+    try {
+        const results = await isbnLookupService.lookupIsbns(req.body.isbns);
+        res.json({ results });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /books/export:
+ *   post:
+ *     summary: Export books as Goodreads CSV, StoryGraph CSV or JSON
+ *     description: Takes books as returned by /scan-books, /extract-book-titles, /books/scan, /books/isbn or the library, and returns a file to import into Goodreads or StoryGraph.
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           $ref: '#/components/schemas/ExchangeFormat'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - books
+ *             properties:
+ *               books:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Unknown format, or a book without a title
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api3/books/export', requireScope('books'), (req, res, next) => {
+    try {
+        sendExport(res, bookExchange.exportBooks(req.body.books, req.query.format || 'json'));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /books/import:
+ *   post:
+ *     summary: Parse and validate a Goodreads, StoryGraph or JSON book list
+ *     description: Returns the books in the list normalized to one shape, and the problems with any rows that could not be used. Nothing is stored; see /library/import for that.
+ *     tags:
+ *       - Books
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           $ref: '#/components/schemas/ExchangeFormat'
+ *         description: Detected from the content when omitted
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               books:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Parsed books and per-row errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   $ref: '#/components/schemas/ExchangeFormat'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of rows read
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *       400:
+ *         description: Missing body, unknown format, or unreadable file
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The file is over 5 MB
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api3/books/import', requireScope('books'), importUpload, csvBody, (req, res, next) => {
+    try {
+        res.json(bookExchange.importBooks(importInput(req), req.query.format));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/books:
+ *   get:
+ *     summary: List and search the user's books
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches title or author (substring), or an exact ISBN
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           $ref: '#/components/schemas/ReadingStatus'
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shelf
+ *         schema:
+ *           type: string
+ *         description: Shelf ID
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [added, updated, title, rating]
+ *           default: added
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: A page of books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LibraryBook'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of books matching the filters
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       400:
+ *         description: Missing X-User-Id or invalid filter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Add books to the user's library
+ *     description: Accepts books exactly as returned by /scan-books, /extract-book-titles, /books/scan or /books/isbn. A book already in the library (same ISBN-13 or Google Books ID) is not added again; its missing details are filled in, tags are merged and any status or rating given is applied.
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - books
+ *             properties:
+ *               books:
+ *                 type: array
+ *                 items:
+ *                   allOf:
+ *                     - type: object
+ *                       description: A book from a scan or lookup response
+ *                     - $ref: '#/components/schemas/LibraryBookChanges'
+ *               shelfId:
+ *                 type: string
+ *                 description: Shelf to put the books on
+ *               status:
+ *                 $ref: '#/components/schemas/ReadingStatus'
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               source:
+ *                 type: string
+ *                 description: Where the books came from, e.g. "scan-books"
+ *     responses:
+ *       201:
+ *         description: The library books, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/LibraryBook'
+ *                       - type: object
+ *                         properties:
+ *                           created:
+ *                             type: boolean
+ *                             description: False if the book was already in the library
+ *       400:
+ *         description: Missing X-User-Id, no books, or a book without a title
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shelf not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api3/library/books', requireScope('library'), async (req, res, next) => {
+    try {
+        const page = await libraryService.listBooks(libraryOwner(req), req.query);
+        res.json(page);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api3/library/books', requireScope('library'), async (req, res, next) => {
+    try {
+        const { books, shelfId, status, tags, source } = req.body;
+        const added = await libraryService.addBooks(libraryOwner(req), books, { shelfId, status, tags, source });
+        res.status(201).json({ books: added });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/export:
+ *   get:
+ *     summary: Export the user's library as Goodreads CSV, StoryGraph CSV or JSON
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           $ref: '#/components/schemas/ExchangeFormat'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           $ref: '#/components/schemas/ReadingStatus'
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shelf
+ *         schema:
+ *           type: string
+ *         description: Shelf ID
+ *     responses:
+ *       200:
+ *         description: The export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Missing X-User-Id, unknown format or invalid filter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api3/library/export', requireScope('library'), async (req, res, next) => {
+    try {
+        const { format = 'json', status, tag, shelf } = req.query;
+        const books = await libraryService.allBooks(libraryOwner(req), { status, tag, shelf });
+        sendExport(res, bookExchange.exportBooks(books, format));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/import:
+ *   post:
+ *     summary: Import a Goodreads, StoryGraph or JSON book list into the user's library
+ *     description: Valid rows are added like POST /library/books, so books already in the library are merged rather than duplicated. Rows with problems are skipped and reported.
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           $ref: '#/components/schemas/ExchangeFormat'
+ *         description: Detected from the content when omitted
+ *       - in: query
+ *         name: shelfId
+ *         schema:
+ *           type: string
+ *         description: Shelf to put the imported books on
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               books:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 format:
+ *                   $ref: '#/components/schemas/ExchangeFormat'
+ *                 total:
+ *                   type: integer
+ *                   description: Number of rows read
+ *                 imported:
+ *                   type: integer
+ *                   description: Books added that were not already in the library
+ *                 merged:
+ *                   type: integer
+ *                   description: Rows that matched a book already in the library
+ *                 books:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LibraryBook'
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *       400:
+ *         description: Missing X-User-Id or body, unknown format, or unreadable file
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: The file is over 5 MB
+ *       404:
+ *         description: Shelf not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api3/library/import', requireScope('library'), importUpload, csvBody, async (req, res, next) => {
+    try {
+        const input = importInput(req);
+        const owner = libraryOwner(req);
+        const { format, total, books, errors } = bookExchange.importBooks(input, req.query.format);
+
+        const added = books.length > 0 ?
+            await libraryService.addBooks(owner, books, { shelfId: req.query.shelfId, source: `import:${format}` }) :
+            [];
+        const imported = added.filter(book => book.created).length;
+
+        res.json({ format, total, imported, merged: added.length - imported, books: added, errors });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/books/{id}:
+ *   get:
+ *     summary: Get a book from the user's library
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LibraryBook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Book not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   patch:
+ *     summary: Update a book's reading status, rating, notes or tags
+ *     description: Only the fields sent are changed; tags are replaced. Moving to "reading" sets startedAt and moving to "read" sets finishedAt.
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LibraryBookChanges'
+ *     responses:
+ *       200:
+ *         description: The updated book
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LibraryBook'
+ *       400:
+ *         description: Invalid status, rating, notes or tags
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Book not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Remove a book from the user's library
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Book removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Book not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api3/library/books/:id', requireScope('library'), async (req, res, next) => {
+    try {
+        const book = await libraryService.getBook(libraryOwner(req), req.params.id);
+        res.json(book);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.patch('/api3/library/books/:id', requireScope('library'), async (req, res, next) => {
+    try {
+        const book = await libraryService.updateBook(libraryOwner(req), req.params.id, req.body || {});
+        res.json(book);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api3/library/books/:id', requireScope('library'), async (req, res, next) => {
+    try {
+        await libraryService.deleteBook(libraryOwner(req), req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/shelves:
+ *   get:
+ *     summary: List the user's shelves
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *     responses:
+ *       200:
+ *         description: Shelves, by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shelves:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shelf'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Create a shelf
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Living room
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shelf created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shelf'
+ *       400:
+ *         description: Missing name
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The user already has a shelf with this name
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api3/library/shelves', requireScope('library'), async (req, res, next) => {
+    try {
+        const shelves = await libraryService.listShelves(libraryOwner(req));
+        res.json({ shelves });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/api3/library/shelves', requireScope('library'), async (req, res, next) => {
+    try {
+        const shelf = await libraryService.createShelf(libraryOwner(req), req.body || {});
+        res.status(201).json(shelf);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/shelves/{id}:
+ *   patch:
+ *     summary: Rename or describe a shelf
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated shelf
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shelf'
+ *       400:
+ *         description: Invalid name or description
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shelf not found
+ *       409:
+ *         description: The user already has a shelf with this name
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Delete a shelf
+ *     description: The books on it stay in the library.
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Shelf deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shelf not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.patch('/api3/library/shelves/:id', requireScope('library'), async (req, res, next) => {
+    try {
+        const shelf = await libraryService.updateShelf(libraryOwner(req), req.params.id, req.body || {});
+        res.json(shelf);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api3/library/shelves/:id', requireScope('library'), async (req, res, next) => {
+    try {
+        await libraryService.deleteShelf(libraryOwner(req), req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /library/shelves/{id}/books/{bookId}:
+ *   put:
+ *     summary: Put a library book on a shelf
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The book, with its shelves
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LibraryBook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shelf or book not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   delete:
+ *     summary: Take a book off a shelf
+ *     description: The book stays in the library.
+ *     tags:
+ *       - Library
+ *     parameters:
+ *       - $ref: '#/components/parameters/LibraryUser'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Book taken off the shelf
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shelf not found, or the book is not on it
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.put('/api3/library/shelves/:id/books/:bookId', requireScope('library'), async (req, res, next) => {
+    try {
+        const book = await libraryService.addBookToShelf(libraryOwner(req), req.params.id, req.params.bookId);
+        res.json(book);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/api3/library/shelves/:id/books/:bookId', requireScope('library'), async (req, res, next) => {
+    try {
+        await libraryService.removeBookFromShelf(libraryOwner(req), req.params.id, req.params.bookId);
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /convert-image:
+ *   post:
+ *     summary: Convert image to base64
+ *     description: Upload an image and get its base64 representation for testing other endpoints
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file to convert
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
+ *     responses:
+ *       200:
+ *         description: Successfully converted image
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 image:
+ *                   type: string
+ *                   description: Base64 encoded image
+ *       400:
+ *         description: No image, or image data that isn't base64
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api3/convert-image', requireScope('images'), imageUpload(), (req, res) => {
+    res.json({
+        image: req.upload.buffer.toString('base64')
+    });
+});
+
 /**
  * @swagger
  * /extract-book-titles:
@@ -315,6 +3060,8 @@ app.post('/api3/convert-image', upload.single('image'), (req, res) => {
  *     description: Analyze a bookshelf image, extract the titles, and fetch details from Google Books API
  *     tags:
  *       - Books
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheBypass'
  *     requestBody:
  *       required: true
  *       content:
@@ -326,6 +3073,10 @@ app.post('/api3/convert-image', upload.single('image'), (req, res) => {
  *                 type: string
  *                 format: binary
  *                 description: Image file to upload and analyze
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
  *         application/json:
  *           schema:
  *             type: object
@@ -334,7 +3085,16 @@ app.post('/api3/convert-image', upload.single('image'), (req, res) => {
  *             properties:
  *               image:
  *                 type: string
- *                 description: Base64 encoded image data
+ *                 description: Base64 encoded image data, or a data URI
+ *               model:
+ *                 $ref: '#/components/schemas/ModelSelection'
+ *               promptVersion:
+ *                 $ref: '#/components/schemas/PromptVersion'
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
  *     responses:
  *       200:
  *         description: Successfully extracted book titles and details
@@ -352,6 +3112,12 @@ app.post('/api3/convert-image', upload.single('image'), (req, res) => {
  *                         type: string
  *                       found:
  *                         type: boolean
+ *                       lookupFailed:
+ *                         type: boolean
+ *                         description: Google Books could not be reached, so the book may exist; retry later
+ *                       error:
+ *                         type: string
+ *                         description: Why the lookup failed
  *                       authors:
  *                         type: array
  *                         items:
@@ -385,30 +3151,31 @@ app.post('/api3/convert-image', upload.single('image'), (req, res) => {
  *                         description: URL to book preview
  *       400:
  *         description: Bad request - image data missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       408:
+ *         description: The model request timed out
+ *       422:
+ *         $ref: '#/components/responses/InvalidModelOutput'
  *       500:
  *         description: Server error
+ *       503:
+ *         $ref: '#/components/responses/ModelUnavailable'
  */
-app.post('/api3/extract-book-titles', upload.single('imageFile'), async (req, res) => {
-    let imageBase64;
-
-    // Check if image is uploaded as a file or provided as base64
-    if (req.file) {
-        // Image uploaded as a file - convert to base64
-        const imageBuffer = fs.readFileSync(req.file.path);
-        imageBase64 = imageBuffer.toString('base64');
-
-        // Delete temporary file
-        fs.unlinkSync(req.file.path);
-    } else if (req.body.image) {
-        // Image provided as base64 string
-        imageBase64 = req.body.image;
-    } else {
-        return res.status(400).json({ error: "Image data is required. Either upload a file or provide base64 image data." });
-    }
+app.post('/api3/extract-book-titles', requireScope('vision'), imageUpload({ field: 'imageFile' }), async (req, res, next) => {
+    const imageBase64 = req.upload.buffer.toString('base64');
 
     try {
         // First extract titles from the image
-        const titles = await openaiService.extractBookTitles(imageBase64);
+        const titles = await openaiService.extractBookTitles(imageBase64, serviceOptions(req, res));
 
         // Then search each title on Google Books API
         const booksPromises = titles.map(title => googleBooksService.searchBookByTitle(title));
@@ -416,17 +3183,7 @@ app.post('/api3/extract-book-titles', upload.single('imageFile'), async (req, re
 
         res.json({ books });
     } catch (error) {
-        console.error("API error:", error.message);
-
-        if (error.status) {
-            // Custom error with status
-            return res.status(error.status).json({ error: error.message });
-        }
-
-        const status = error.response?.status || 500;
-        const errorMessage = error.response?.data?.error?.message || "Error processing image";
-
-        res.status(status).json({ error: errorMessage });
+        next(error);
     }
 });
 
@@ -435,42 +3192,223 @@ app.post('/api3/extract-book-titles', upload.single('imageFile'), async (req, re
  * /health:
  *   get:
  *     summary: Health check endpoint
- *     description: Check if the API server is running and get basic status information
+ *     description: Same as /health/live, kept for existing monitors
  *     tags:
  *       - System
+ *     security: []
  *     responses:
  *       200:
  *         description: Server is up and running
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "ok"
- *                 version:
- *                   type: string
- *                   example: "1.0.0"
- *                 uptime:
- *                   type: number
- *                   description: Server uptime in seconds
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                   description: Current server time
- *                 environment:
- *                   type: string
- *                   example: "development"
+ *               $ref: '#/components/schemas/Liveness'
  */
 app.get('/api3/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        version: '1.0.0',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development'
-    });
+    res.json(healthService.liveness());
+});
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness check
+ *     description: The process is up and serving requests. Checks nothing else, so a failing dependency never gets the process restarted.
+ *     tags:
+ *       - System
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Liveness'
+ */
+app.get('/api3/health/live', (req, res) => {
+    res.json(healthService.liveness());
+});
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness check
+ *     description: |
+ *       Checks each component and reports it as `ok`, `degraded` or `down`; the overall status is the worst of them.
+ *       - `config`: settings for the model providers; a missing setting is `down` for a provider serving routes (e.g. OPENAI_API_KEY), `degraded` for one only on the allowlist
+ *       - `sharp`: the image library loads and encodes
+ *       - `storage`: every key/value store can be written and the library database answers. Cached like the upstream checks below.
+ *       - `queue`: the job queue resumed after the last restart and has fewer than HEALTH_QUEUE_WARN (100) jobs waiting
+ *       - one entry per model provider serving routes (e.g. `openai`), and `google-books`: the API answers and accepts the key. These are cached for HEALTH_CACHE_SECONDS (30) and time-boxed to HEALTH_CHECK_TIMEOUT_MS (3000), and only ever `degraded`, since every instance shares them.
+ *
+ *       Without an API key each check only has its `status`. A key with the `metrics` or `admin` scope also gets the details: errors, missing settings, stores and queue stats.
+ *     tags:
+ *       - System
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready (`ok` or `degraded`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Not ready (`down`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+app.get('/api3/health/ready', async (req, res, next) => {
+    try {
+        const readiness = await healthService.readiness({ detailed: hasScope(req, 'metrics') || hasScope(req, 'admin') });
+        res.status(readiness.status === 'down' ? 503 : 200).json(readiness);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text format, counted since the process started:
+ *       - `http_request_duration_seconds`: request latency histogram by method, route and status
+ *       - `upstream_request_duration_seconds`: latency histogram of model (openai, anthropic, ollama) and book metadata (google-books, open-library) calls, by outcome
+ *       - `upstream_errors_total`: failed upstream calls by upstream HTTP status or error code
+ *       - `llm_tokens_total`: prompt and completion tokens by model
+ *       - process memory and uptime
+ *
+ *       Scrape with a key that has the `metrics` scope, e.g. as a bearer token.
+ *     tags:
+ *       - System
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api3/metrics', requireScope('metrics'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * @swagger
+ * /image/transform:
+ *   post:
+ *     summary: Resize, crop, rotate and convert an image
+ *     description: |
+ *       Applies the EXIF orientation, then crop, rotate, flip/flop and resize, strips metadata and encodes the result.
+ *       Reads JPEG, PNG, WebP, AVIF, GIF, TIFF and HEIC, and writes JPEG, PNG, WebP or AVIF.
+ *       With maxBytes the quality (and if needed the size) is lowered until the image fits.
+ *       Returns the image itself, or JSON with base64 data when output is base64.
+ *       Options can also be given as query parameters, which is how to pass them with a raw image body.
+ *     tags:
+ *       - Utility
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   image:
+ *                     type: string
+ *                     format: binary
+ *                     description: Image file to transform
+ *               - $ref: '#/components/schemas/ImageTransformOptions'
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required:
+ *                   - image
+ *                 properties:
+ *                   image:
+ *                     type: string
+ *                     description: Base64 encoded image data, or a data URI
+ *               - $ref: '#/components/schemas/ImageTransformOptions'
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
+ *     responses:
+ *       200:
+ *         description: The transformed image; size and format details are also sent in X-Image-* headers
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/avif:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransformedImage'
+ *       400:
+ *         description: No image, or invalid options
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       422:
+ *         description: The transform can't be applied, e.g. a crop outside the image
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+app.post('/api3/image/transform', requireScope('images'), imageUpload(), async (req, res, next) => {
+    try {
+        // Options come as fields next to the image, or as query parameters with a raw image body
+        const options = imageService.parseTransformOptions({ ...req.query, ...req.body });
+        const { data, ...image } = await imageService.transformImage(req.upload.buffer, options);
+
+        if (options.output === 'base64') {
+            return res.json({ image: data.toString('base64'), ...image });
+        }
+
+        res.set({
+            'Content-Type': image.mimeType,
+            'X-Image-Width': image.width,
+            'X-Image-Height': image.height,
+            'X-Original-Size': image.original.size
+        });
+        if (image.quality !== null) {
+            res.set('X-Image-Quality', image.quality);
+        }
+        if (image.targetMet !== undefined) {
+            res.set('X-Image-Target-Met', String(image.targetMet));
+        }
+        res.send(data);
+    } catch (error) {
+        next(error);
+    }
 });
 
 /**
@@ -478,7 +3416,7 @@ app.get('/api3/health', (req, res) => {
  * /compress-image:
  *   post:
  *     summary: Compress an image and return stats
- *     description: Upload an image, compress it, and get compression statistics
+ *     description: Upload an image, compress it, and get compression statistics. Use /image/transform to get the compressed image itself.
  *     tags:
  *       - Utility
  *     requestBody:
@@ -492,6 +3430,11 @@ app.get('/api3/health', (req, res) => {
  *                 type: string
  *                 format: binary
  *                 description: Image file to compress
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *             description: The image itself as the request body (image/* content types work too)
  *     responses:
  *       200:
  *         description: Compression statistics
@@ -509,28 +3452,31 @@ app.get('/api3/health', (req, res) => {
  *                 savingsPercent:
  *                   type: number
  *                   description: Percentage of size reduction
+ *       400:
+ *         description: No image, or image data that isn't base64
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         $ref: '#/components/responses/ImageTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedImage'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-app.post('/api3/compress-image', upload.single('image'), async (req, res) => {
+app.post('/api3/compress-image', requireScope('images'), imageUpload(), async (req, res, next) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No image file uploaded' });
-        }
-
-        // Read the file and convert to base64
-        const imageBuffer = fs.readFileSync(req.file.path);
-        const base64Image = imageBuffer.toString('base64');
+        const base64Image = req.upload.buffer.toString('base64');
         const originalSize = base64Image.length;
 
-        // Compress the image
+        // Compress the image the same way the vision routes do
         const compressedImage = await openaiService.compressImage(base64Image);
         const compressedSize = compressedImage.length;
 
         // Calculate savings
         const savingsPercent = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
 
-        // Delete the temporary file
-        fs.unlinkSync(req.file.path);
-
         res.json({
             originalSize,
             compressedSize,
@@ -538,12 +3484,351 @@ app.post('/api3/compress-image', upload.single('image'), async (req, res) => {
             message: `Image compressed from ${(originalSize / 1024).toFixed(2)}KB to ${(compressedSize / 1024).toFixed(2)}KB (${savingsPercent}% reduction)`
         });
     } catch (error) {
-        console.error('Error compressing image:', error);
-        res.status(500).json({ error: 'Failed to compress image' });
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /admin/keys:
+ *   post:
+ *     summary: Issue an API key
+ *     description: Creates a key for one microtool app. The plaintext key is only returned in this response.
+ *     tags:
+ *       - Admin
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - app
+ *             properties:
+ *               app:
+ *                 type: string
+ *                 description: App the key belongs to
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: ['*', chat, vision, extract, prompts, images, books, library, metrics, admin]
+ *               rateLimit:
+ *                 type: object
+ *                 properties:
+ *                   capacity:
+ *                     type: integer
+ *                     description: Burst size
+ *                   refillPerSecond:
+ *                     type: number
+ *               dailyQuota:
+ *                 type: integer
+ *                 description: Maximum requests per UTC day
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Plaintext key, shown once
+ *       400:
+ *         description: Bad request - app missing, an unknown scope, or a rate limit or quota that isn't a positive number
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   get:
+ *     summary: List API keys
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: All keys, including revoked ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.post('/api3/admin/keys', requireScope('admin'), async (req, res, next) => {
+    try {
+        const apiKey = await apiKeyService.createKey(req.body || {});
+        res.status(201).json(apiKey);
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/api3/admin/keys', requireScope('admin'), async (req, res, next) => {
+    try {
+        const keys = await apiKeyService.listKeys();
+        res.json({ keys });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /admin/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: API key not found
+ */
+app.delete('/api3/admin/keys/:id', requireScope('admin'), async (req, res, next) => {
+    try {
+        const apiKey = await apiKeyService.revokeKey(req.params.id);
+        res.json(apiKey);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /admin/usage:
+ *   get:
+ *     summary: Token usage and cost report
+ *     description: Totals of upstream token usage and estimated cost for a date range, grouped by one dimension
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to 30 days before `to`). The range may cover at most 366 days.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [endpoint, key, app, model, prompt, day]
+ *           default: endpoint
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 groupBy:
+ *                   type: string
+ *                 currency:
+ *                   type: string
+ *                 totals:
+ *                   $ref: '#/components/schemas/UsageTotals'
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UsageTotals'
+ *       400:
+ *         description: Bad request - invalid dates or groupBy, or a range longer than 366 days
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api3/admin/usage', requireScope('admin'), async (req, res, next) => {
+    try {
+        const report = await usageService.query(req.query);
+        res.json(report);
+    } catch (error) {
+        next(error);
     }
 });
 
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-    console.log(`Swagger documentation available at http://localhost:${port}/api3/api-docs`);
-}); 
\ No newline at end of file
+/**
+ * @swagger
+ * /admin/cache:
+ *   get:
+ *     summary: Response cache statistics
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Cache size, limits and hit counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: integer
+ *                 bytes:
+ *                   type: integer
+ *                 hits:
+ *                   type: integer
+ *                 misses:
+ *                   type: integer
+ *                 ttlSeconds:
+ *                   type: integer
+ *                 maxEntries:
+ *                   type: integer
+ *                 maxBytes:
+ *                   type: integer
+ *                 perceptualHash:
+ *                   type: boolean
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   delete:
+ *     summary: Purge the response cache
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Cache purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purged:
+ *                   type: integer
+ *                   description: Number of entries removed
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api3/admin/cache', requireScope('admin'), (req, res) => {
+    res.json(responseCache.stats());
+});
+
+app.delete('/api3/admin/cache', requireScope('admin'), (req, res) => {
+    res.json({ purged: responseCache.purge() });
+});
+
+/**
+ * @swagger
+ * /admin/config:
+ *   get:
+ *     summary: The running configuration, with secrets redacted
+ *     description: Every setting with its environment variable and where its value came from. Settings are read at startup from, in increasing priority, their defaults, the JSON config file (APP_CONFIG, or config/app.json), the ecosystem.config.js block for NODE_ENV, and the environment (including .env); changes need a restart.
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 environment:
+ *                   type: string
+ *                   example: production
+ *                 configFile:
+ *                   type: string
+ *                   nullable: true
+ *                   description: The JSON config file read, if any
+ *                 ecosystem:
+ *                   type: string
+ *                   nullable: true
+ *                   description: ecosystem.config.js, if it sets anything for this environment
+ *                 settings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: upstream.timeoutMs
+ *                       env:
+ *                         type: string
+ *                         example: UPSTREAM_TIMEOUT_MS
+ *                       value:
+ *                         nullable: true
+ *                         description: The value; secrets that are set show as "[redacted]", settings that aren't set as null
+ *                       source:
+ *                         type: string
+ *                         nullable: true
+ *                         enum: [default, file, ecosystem, env]
+ *                 models:
+ *                   type: object
+ *                   description: The model routing config (config/models.json)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+app.get('/api3/admin/config', requireScope('admin'), (req, res) => {
+    res.json(config.redacted());
+});
+
+app.use('/api3', notFound);
+app.use(errorHandler);
+
+const server = app.listen(port, () => {
+    logger.info('Server started', {
+        url: `http://localhost:${port}`,
+        docs: `http://localhost:${port}/api3/api-docs`
+    });
+});
+
+// Write out counters batched in memory before PM2 restarts or stops the process
+function shutdown(signal) {
+    logger.info('Shutting down', { signal });
+    server.close();
+
+    Promise.allSettled([apiKeyService.flush(), usageService.flush()]).then((results) => {
+        for (const { reason } of results.filter(result => result.status === 'rejected')) {
+            logger.error('Flush on shutdown failed', { error: reason });
+        }
+        process.exit(0);
+    });
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown); 
\ No newline at end of file
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+const logger = require('./logger');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const KEY_PREFIX = 'mt_';
+
+const SCOPES = ['*', 'chat', 'vision', 'extract', 'prompts', 'images', 'books', 'library', 'metrics', 'admin'];
+
+// How long to batch quota counts before writing them to the store
+const FLUSH_DELAY_MS = 5000;
+const QUOTA_RECORD = 'daily';
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a new key's scopes and limits
+ * @throws {ValidationError}
+ */
+function validateKeyOptions({ app, name, scopes, rateLimit, dailyQuota }) {
+    if (!app || typeof app !== 'string') {
+        throw new ValidationError("App name is required");
+    }
+    if (typeof name !== 'string') {
+        throw new ValidationError("name must be a string");
+    }
+    if (!Array.isArray(scopes) || !scopes.every(scope => SCOPES.includes(scope))) {
+        throw new ValidationError(`scopes must be an array of: ${SCOPES.join(', ')}`);
+    }
+    if (rateLimit !== null) {
+        const valid = typeof rateLimit === 'object' && !Array.isArray(rateLimit)
+            && Object.keys(rateLimit).every(field => ['capacity', 'refillPerSecond'].includes(field))
+            && (rateLimit.capacity === undefined || isPositiveInteger(rateLimit.capacity))
+            && (rateLimit.refillPerSecond === undefined || (typeof rateLimit.refillPerSecond === 'number' && rateLimit.refillPerSecond > 0));
+        if (!valid) {
+            throw new ValidationError("rateLimit must be null or { capacity, refillPerSecond } with a positive integer capacity and a positive refillPerSecond");
+        }
+    }
+    if (dailyQuota !== null && !isPositiveInteger(dailyQuota)) {
+        throw new ValidationError("dailyQuota must be a positive integer or null");
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Strip the key hash before returning a record to admins
+ */
+function toPublicRecord({ keyHash, ...record }) {
+    return record;
+}
+
+/**
+ * Issues and verifies per-app API keys. Only a SHA-256 hash of each key is stored;
+ * the plaintext key is returned once, when it is created.
+ */
+class ApiKeyService {
+    constructor() {
+        this.store = createStore(config.storage.apiKeys, 'api-keys');
+        this.keysByHash = null;
+        // Today's requests per key, stored so quotas survive restarts
+        this.quotaStore = createStore(config.storage.apiKeys, 'quotas');
+        this.quotaUsage = null;
+        this.quotaDirty = false;
+        this.flushTimer = null;
+    }
+
+    async loadIndex() {
+        if (!this.keysByHash) {
+            const records = await this.store.values();
+            this.keysByHash = new Map(records.map(record => [record.keyHash, record]));
+        }
+
+        return this.keysByHash;
+    }
+
+    /**
+     * Create a key for an app
+     * @param {Object} options
+     * @param {string} options.app - App (microtool) the key belongs to
+     * @param {string} [options.name] - Human-readable label
+     * @param {Array<string>} [options.scopes] - Allowed scopes, "*" for all
+     * @param {Object} [options.rateLimit] - Token bucket overrides: capacity, refillPerSecond
+     * @param {number} [options.dailyQuota] - Maximum requests per UTC day
+     * @returns {Promise<Object>} - The stored record plus the plaintext `key`
+     * @throws {ValidationError} - For an unknown scope or a limit that isn't a positive number
+     */
+    async createKey({ app, name = '', scopes = [], rateLimit = null, dailyQuota = null }) {
+        validateKeyOptions({ app, name, scopes, rateLimit, dailyQuota });
+
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            app,
+            name,
+            scopes,
+            rateLimit,
+            dailyQuota,
+            keyHash: hashKey(key),
+            keyPreview: `${key.slice(0, KEY_PREFIX.length + 4)}...`,
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        const index = await this.loadIndex();
+        await this.store.set(record.id, record);
+        index.set(record.keyHash, record);
+
+        return { ...toPublicRecord(record), key };
+    }
+
+    async listKeys() {
+        const records = await this.store.values();
+        return records.map(toPublicRecord);
+    }
+
+    async revokeKey(id) {
+        const record = await this.store.get(id);
+
+        if (!record) {
+            throw new NotFoundError("API key not found", 'API_KEY_NOT_FOUND');
+        }
+
+        record.revokedAt = record.revokedAt || new Date().toISOString();
+        await this.store.set(id, record);
+
+        const index = await this.loadIndex();
+        index.set(record.keyHash, record);
+
+        return toPublicRecord(record);
+    }
+
+    /**
+     * Look up an active key
+     * @param {string} key - Plaintext key from the request
+     * @returns {Promise<Object|null>} - Key record, or null if unknown or revoked
+     */
+    async verifyKey(key) {
+        const index = await this.loadIndex();
+        const record = index.get(hashKey(key));
+
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        return record;
+    }
+
+    /**
+     * The day's request counts, loaded once however many requests arrive together
+     * @returns {Promise<{day: string, counts: Object}>} - Key ID -> requests
+     */
+    loadQuotaUsage() {
+        if (!this.quotaUsage) {
+            this.quotaUsage = this.quotaStore.get(QUOTA_RECORD).then(stored => stored || { day: null, counts: {} });
+            this.quotaUsage.catch(() => {
+                this.quotaUsage = null;
+            });
+        }
+
+        return this.quotaUsage;
+    }
+
+    /**
+     * Count a request against the key's daily quota
+     * @param {Object} record - Key record
+     * @returns {Promise<{allowed: boolean, retryAfter: number}>} - retryAfter in seconds (until the next UTC day)
+     */
+    async consumeQuota(record) {
+        if (!record.dailyQuota) {
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        const day = new Date().toISOString().slice(0, 10);
+        const usage = await this.loadQuotaUsage();
+
+        // A new day starts every key from zero
+        if (usage.day !== day) {
+            usage.day = day;
+            usage.counts = {};
+        }
+
+        const used = usage.counts[record.id] || 0;
+
+        if (used >= record.dailyQuota) {
+            const nextDay = new Date(`${day}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+            return { allowed: false, retryAfter: Math.ceil((nextDay - Date.now()) / 1000) };
+        }
+
+        usage.counts[record.id] = used + 1;
+        this.quotaDirty = true;
+        this.scheduleFlush();
+
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => logger.error('Quota flush failed', { error }));
+        }, FLUSH_DELAY_MS);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write the quota counts to the store if they changed. They stay marked as
+     * changed until a write succeeds.
+     */
+    async flush() {
+        if (!this.quotaDirty) {
+            return;
+        }
+
+        this.quotaDirty = false;
+        try {
+            await this.quotaStore.set(QUOTA_RECORD, await this.quotaUsage);
+        } catch (error) {
+            this.quotaDirty = true;
+            throw error;
+        }
+    }
+}
+
+module.exports = new ApiKeyService();
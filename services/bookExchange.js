@@ -0,0 +1,522 @@
+const { normalizeIsbn } = require('./isbn');
+const { toBookMetadata, normalizeTags, normalizeDate, READING_STATUSES } = require('./bookMetadata');
+const { ValidationError } = require('./errors');
+
+// Upper bound for a single import
+const MAX_IMPORT_ROWS = 5000;
+
+const GOODREADS_COLUMNS = [
+    'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+    'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages', 'Year Published',
+    'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves',
+    'Bookshelves with positions', 'Exclusive Shelf', 'My Review', 'Spoiler', 'Private Notes',
+    'Read Count', 'Owned Copies'
+];
+
+const STORYGRAPH_COLUMNS = [
+    'Title', 'Authors', 'Contributors', 'ISBN/UID', 'Format', 'Read Status', 'Date Added',
+    'Last Date Read', 'Dates Read', 'Read Count', 'Moods', 'Pace', 'Character- or Plot-Driven?',
+    'Strong Character Development?', 'Loveable Characters?', 'Diverse Characters?',
+    'Flawed Characters?', 'Star Rating', 'Review', 'Content Warnings',
+    'Content Warning Description', 'Tags', 'Owned?'
+];
+
+// Our reading status <-> the shelf/status names Goodreads and StoryGraph use
+const STATUS_NAMES = {
+    want_to_read: 'to-read',
+    reading: 'currently-reading',
+    read: 'read',
+    abandoned: 'did-not-finish'
+};
+const STATUS_BY_NAME = Object.fromEntries(Object.entries(STATUS_NAMES).map(([status, name]) => [name, status]));
+
+// Cells a spreadsheet would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// The ="0441013597" ISBN cells Goodreads writes: a plain string, safe to keep
+const QUOTED_TEXT_FORMULA = /^="[0-9Xx]*"$/;
+
+/**
+ * Quote a CSV cell. Text starting like a formula (titles, notes and tags are
+ * user input) gets a leading apostrophe, so spreadsheets show it as text.
+ */
+function escapeCsv(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+
+    if (FORMULA_PREFIX.test(text) && !QUOTED_TEXT_FORMULA.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo escapeCsv's apostrophe, so exported books import unchanged
+ */
+function unescapeFormula(value) {
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escapeCsv).join(','));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields may contain commas, quotes and newlines)
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Records, blank lines skipped
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(values => values.some(value => value.trim() !== ''));
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Goodreads writes ISBNs as ="0441013597" so spreadsheets keep leading zeros
+ */
+function unwrapIsbn(value) {
+    return (value || '').trim().replace(/^="?/, '').replace(/"$/, '');
+}
+
+function toSlashDate(iso) {
+    return iso ? iso.slice(0, 10).replace(/-/g, '/') : '';
+}
+
+/**
+ * @param {string} value - "2024/01/31" or "2024-01-31"
+ * @returns {string|null|undefined} - ISO timestamp, null if empty, undefined if invalid
+ */
+function fromSlashDate(value) {
+    if (!value || !value.trim()) {
+        return null;
+    }
+
+    const match = value.trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) {
+        return undefined;
+    }
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * "Frank Herbert" -> "Herbert, Frank"
+ */
+function lastFirst(name) {
+    const parts = name.trim().split(/\s+/);
+    return parts.length < 2 ? name : `${parts.pop()}, ${parts.join(' ')}`;
+}
+
+function publicationYear(publishedDate) {
+    return (publishedDate || '').match(/\d{4}/)?.[0] || '';
+}
+
+/**
+ * Book fields shared by every export format
+ */
+function toExportBook(input) {
+    return {
+        ...toBookMetadata(input),
+        status: input.status || null,
+        rating: input.rating || null,
+        tags: input.tags || [],
+        notes: input.notes || null,
+        finishedAt: input.finishedAt || null,
+        createdAt: input.createdAt || null
+    };
+}
+
+// Each CSV format turns export books into rows, and a parsed row back into a
+// book plus a list of problems with the row
+
+const goodreads = {
+    columns: GOODREADS_COLUMNS,
+
+    toRow(book) {
+        const [author = '', ...additionalAuthors] = book.authors;
+
+        return {
+            'Title': book.title,
+            'Author': author,
+            'Author l-f': author ? lastFirst(author) : '',
+            'Additional Authors': additionalAuthors.join(', '),
+            'ISBN': `="${book.isbn10 || ''}"`,
+            'ISBN13': `="${book.isbn13 || ''}"`,
+            'My Rating': book.rating || 0,
+            'Publisher': book.publisher,
+            'Number of Pages': book.pageCount,
+            'Year Published': publicationYear(book.publishedDate),
+            'Date Read': toSlashDate(book.finishedAt),
+            'Date Added': toSlashDate(book.createdAt || new Date().toISOString()),
+            'Bookshelves': book.tags.join(', '),
+            'Exclusive Shelf': STATUS_NAMES[book.status || 'want_to_read'],
+            'Private Notes': book.notes,
+            'Read Count': book.status === 'read' ? 1 : 0,
+            'Owned Copies': 0
+        };
+    },
+
+    fromRow(row) {
+        const errors = [];
+        const book = {
+            title: (row['Title'] || '').trim(),
+            authors: [row['Author'], ...splitList(row['Additional Authors'])]
+                .map(author => (author || '').trim())
+                .filter(Boolean)
+        };
+
+        const isbnText = unwrapIsbn(row['ISBN13']) || unwrapIsbn(row['ISBN']);
+        if (isbnText) {
+            const isbn = normalizeIsbn(isbnText);
+            if (isbn) {
+                Object.assign(book, isbn);
+            } else {
+                errors.push(`"${isbnText}" is not a valid ISBN`);
+            }
+        }
+
+        const rating = (row['My Rating'] || '').trim();
+        if (rating) {
+            if (!/^[0-5]$/.test(rating)) {
+                errors.push('My Rating must be a whole number from 0 to 5');
+            } else if (rating !== '0') {
+                book.rating = Number(rating);
+            }
+        }
+
+        const shelf = (row['Exclusive Shelf'] || '').trim();
+        const tags = splitList(row['Bookshelves']).filter(name => !STATUS_BY_NAME[name]);
+        if (shelf) {
+            if (STATUS_BY_NAME[shelf]) {
+                book.status = STATUS_BY_NAME[shelf];
+            } else {
+                // A custom exclusive shelf: keep it as a tag
+                book.status = 'want_to_read';
+                tags.push(shelf);
+            }
+        }
+        book.tags = [...new Set(tags)];
+
+        const finishedAt = fromSlashDate(row['Date Read']);
+        if (finishedAt === undefined) {
+            errors.push('Date Read must be a date like 2024/01/31');
+        } else if (finishedAt) {
+            book.finishedAt = finishedAt;
+        }
+
+        const pages = (row['Number of Pages'] || '').trim();
+        if (pages) {
+            book.pageCount = Number(pages);
+        }
+
+        book.publisher = row['Publisher'] || null;
+        book.publishedDate = row['Year Published'] || row['Original Publication Year'] || null;
+        book.notes = row['Private Notes'] || row['My Review'] || undefined;
+
+        return { book, errors };
+    }
+};
+
+const storygraph = {
+    columns: STORYGRAPH_COLUMNS,
+
+    toRow(book) {
+        return {
+            'Title': book.title,
+            'Authors': book.authors.join(', '),
+            'ISBN/UID': book.isbn13 || book.isbn10 || '',
+            'Read Status': STATUS_NAMES[book.status || 'want_to_read'],
+            'Date Added': toSlashDate(book.createdAt || new Date().toISOString()),
+            'Last Date Read': toSlashDate(book.finishedAt),
+            'Read Count': book.status === 'read' ? 1 : 0,
+            'Star Rating': book.rating || '',
+            'Tags': book.tags.join(', ')
+        };
+    },
+
+    fromRow(row) {
+        const errors = [];
+        const book = {
+            title: (row['Title'] || '').trim(),
+            authors: splitList(row['Authors'])
+        };
+
+        // StoryGraph uses its own UIDs for books without an ISBN; those are simply not ISBNs
+        const isbn = normalizeIsbn((row['ISBN/UID'] || '').trim());
+        if (isbn) {
+            Object.assign(book, isbn);
+        }
+
+        const status = (row['Read Status'] || '').trim();
+        if (status) {
+            if (STATUS_BY_NAME[status]) {
+                book.status = STATUS_BY_NAME[status];
+            } else {
+                errors.push(`Unknown Read Status "${status}"`);
+            }
+        }
+
+        // Quarter stars are allowed there; the library keeps whole stars
+        const rating = (row['Star Rating'] || '').trim();
+        if (rating) {
+            const stars = Number(rating);
+            if (Number.isNaN(stars) || stars < 0 || stars > 5) {
+                errors.push('Star Rating must be a number from 0 to 5');
+            } else if (stars > 0) {
+                book.rating = Math.max(1, Math.round(stars));
+            }
+        }
+
+        const finishedAt = fromSlashDate(row['Last Date Read']);
+        if (finishedAt === undefined) {
+            errors.push('Last Date Read must be a date like 2024/01/31');
+        } else if (finishedAt) {
+            book.finishedAt = finishedAt;
+        }
+
+        book.tags = splitList(row['Tags']);
+        book.notes = row['Review'] || undefined;
+
+        return { book, errors };
+    }
+};
+
+const csvFormats = { goodreads, storygraph };
+
+const FORMATS = ['goodreads', 'storygraph', 'json'];
+
+/**
+ * Checks every imported book must pass, whatever the format
+ */
+function validateBook(book) {
+    const errors = [];
+
+    if (typeof book.title !== 'string' || !book.title.trim()) {
+        errors.push('Title is required');
+    }
+    if (book.status !== undefined && !READING_STATUSES.includes(book.status)) {
+        errors.push(`status must be one of: ${READING_STATUSES.join(', ')}`);
+    }
+    if (book.rating !== undefined && book.rating !== null &&
+        !(Number.isInteger(book.rating) && book.rating >= 1 && book.rating <= 5)) {
+        errors.push('rating must be a whole number from 1 to 5');
+    }
+    if (book.pageCount !== undefined && book.pageCount !== null &&
+        !(Number.isInteger(book.pageCount) && book.pageCount > 0)) {
+        errors.push('pageCount must be a positive whole number');
+    }
+    if (book.notes !== undefined && book.notes !== null && typeof book.notes !== 'string') {
+        errors.push('notes must be a string');
+    }
+
+    // The same checks the library applies when the book is added
+    for (const normalize of [() => normalizeTags(book.tags), () => normalizeDate(book.finishedAt, 'finishedAt')]) {
+        try {
+            normalize();
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    return errors;
+}
+
+function checkFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Work out the format of an import from its content
+ * @param {string|Object} input
+ * @returns {string}
+ */
+function detectFormat(input) {
+    if (typeof input !== 'string' || /^\s*[[{]/.test(input)) {
+        return 'json';
+    }
+
+    const [header = []] = parseCsv(input.split(/\r?\n/, 1)[0]);
+    if (header.includes('Exclusive Shelf') || header.includes('Book Id')) {
+        return 'goodreads';
+    }
+    if (header.includes('ISBN/UID') || header.includes('Read Status')) {
+        return 'storygraph';
+    }
+
+    throw new ValidationError('Unrecognized import format; pass format=goodreads, storygraph or json', { code: 'INVALID_IMPORT' });
+}
+
+/**
+ * Serialize books in an export format
+ * @param {Array<Object>} books - Scan results, Google Books records or library books
+ * @param {string} format - "goodreads", "storygraph" or "json"
+ * @returns {{contentType: string, filename: string, body: string}}
+ */
+function exportBooks(books, format) {
+    checkFormat(format);
+
+    if (!Array.isArray(books)) {
+        throw new ValidationError('books must be an array');
+    }
+
+    const exportedBooks = books.map(toExportBook);
+
+    if (format === 'json') {
+        return {
+            contentType: 'application/json',
+            filename: 'books.json',
+            body: JSON.stringify({ books: exportedBooks }, null, 2)
+        };
+    }
+
+    const { columns, toRow } = csvFormats[format];
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `books-${format}.csv`,
+        body: toCsv(columns, exportedBooks.map(toRow))
+    };
+}
+
+/**
+ * Parse and validate an import. Rows with problems are reported rather than
+ * failing the whole import.
+ * @param {string|Object} input - CSV text, JSON text, or parsed JSON (`{ books }` or an array)
+ * @param {string} [format] - Detected from the content when omitted
+ * @returns {{format: string, total: number, books: Array<Object>, errors: Array<{row: number, title: string, errors: Array<string>}>}}
+ *   `row` counts from 1 for the first book (the CSV header is not counted)
+ */
+function importBooks(input, format) {
+    format = format || detectFormat(input);
+    checkFormat(format);
+
+    let parsed;
+
+    if (format === 'json') {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch (error) {
+                throw new ValidationError(`Invalid JSON: ${error.message}`, { code: 'INVALID_IMPORT' });
+            }
+        }
+
+        const items = Array.isArray(data) ? data : data?.books;
+        if (!Array.isArray(items)) {
+            throw new ValidationError('JSON imports must be an array of books or { "books": [...] }', { code: 'INVALID_IMPORT' });
+        }
+
+        parsed = items.map(item => {
+            if (!item || typeof item !== 'object') {
+                return { book: {}, errors: ['Not an object'] };
+            }
+
+            // Our own JSON exports write null for unset fields
+            const { status, rating, tags, notes, finishedAt } = item;
+            const userFields = {
+                status: status ?? undefined,
+                rating: rating ?? undefined,
+                tags: tags ?? undefined,
+                notes: notes ?? undefined,
+                finishedAt: finishedAt ?? undefined
+            };
+
+            try {
+                return { book: { ...toBookMetadata(item), ...userFields }, errors: [] };
+            } catch (error) {
+                // No title; validateBook reports it
+                return { book: item, errors: [] };
+            }
+        });
+    } else {
+        if (typeof input !== 'string') {
+            throw new ValidationError(`${format} imports must be CSV text`, { code: 'INVALID_IMPORT' });
+        }
+
+        const [header, ...records] = parseCsv(input);
+        if (!header || !header.includes('Title')) {
+            throw new ValidationError('The CSV needs a header row with a Title column', { code: 'INVALID_IMPORT' });
+        }
+
+        parsed = records.map(values => {
+            const row = Object.fromEntries(header.map((column, i) => [column.trim(), unescapeFormula(values[i] || '')]));
+            return csvFormats[format].fromRow(row);
+        });
+    }
+
+    if (parsed.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(`At most ${MAX_IMPORT_ROWS} books can be imported at once`, { code: 'INVALID_IMPORT' });
+    }
+
+    const books = [];
+    const errors = [];
+
+    parsed.forEach(({ book, errors: rowErrors }, index) => {
+        const problems = [...rowErrors, ...validateBook(book)];
+
+        if (problems.length > 0) {
+            errors.push({ row: index + 1, title: book.title || null, errors: problems });
+        } else {
+            books.push(book);
+        }
+    });
+
+    return { format, total: parsed.length, books, errors };
+}
+
+module.exports = {
+    exportBooks,
+    importBooks,
+    FORMATS
+};
@@ -0,0 +1,98 @@
+const { normalizeIsbn } = require('./isbn');
+const { ValidationError } = require('./errors');
+
+const READING_STATUSES = ['want_to_read', 'reading', 'read', 'abandoned'];
+
+/**
+ * Normalize a book as returned by the scan and lookup endpoints. Accepts
+ * `scan-books` books, `extract-book-titles` books, `books/scan` matches
+ * (`{ detected, match }`) and `books/isbn` results (`{ book }`).
+ * @param {Object} input
+ * @returns {Object} - title, authors, isbn10, isbn13, googleBooksId, publisher,
+ *   publishedDate, description, pageCount, categories and thumbnail
+ */
+function toBookMetadata(input) {
+    const detected = input.detected || {};
+    const source = input.match || input.book || input;
+
+    const title = source.title || detected.title;
+    if (typeof title !== 'string' || !title.trim()) {
+        throw new ValidationError('Every book needs a title');
+    }
+
+    let authors = source.authors;
+    if (!Array.isArray(authors) || authors.length === 0) {
+        const author = source.author || detected.author;
+        authors = author ? [author] : [];
+    }
+    authors = authors.filter(author => author && author !== 'Unknown Author');
+
+    const isbn = normalizeIsbn(source.isbn13 || source.isbn10 || source.isbn || detected.isbn);
+
+    let categories = source.categories;
+    if (!Array.isArray(categories) || categories.length === 0) {
+        const genre = source.genre || detected.genre;
+        categories = genre ? [genre] : [];
+    }
+
+    return {
+        title: title.trim(),
+        authors,
+        isbn10: isbn?.isbn10 || null,
+        isbn13: isbn?.isbn13 || null,
+        // A library book has googleBooksId and its own `id`; Google Books records have `id`
+        googleBooksId: 'googleBooksId' in source ?
+            source.googleBooksId :
+            source.ids?.googleBooks || source.id || null,
+        publisher: source.publisher || null,
+        publishedDate: source.publishedDate || null,
+        description: source.description || null,
+        pageCount: source.pageCount || detected.pageCount || null,
+        categories,
+        thumbnail: source.imageLinks?.thumbnail || source.thumbnail || null
+    };
+}
+
+/**
+ * Tags trimmed, lowercased and de-duplicated
+ * @param {Array<string>} [tags]
+ * @returns {Array<string>|undefined}
+ * @throws {ValidationError} - If tags isn't an array of strings
+ */
+function normalizeTags(tags) {
+    if (tags === undefined) {
+        return undefined;
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new ValidationError('tags must be an array of strings');
+    }
+
+    return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * A date as an ISO 8601 timestamp; null and undefined are passed through
+ * @param {*} value
+ * @param {string} name - Field name for the error message
+ * @returns {string|null|undefined}
+ * @throws {ValidationError} - If the value isn't a date
+ */
+function normalizeDate(value, name) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new ValidationError(`${name} must be a date`);
+    }
+
+    return new Date(time).toISOString();
+}
+
+module.exports = {
+    toBookMetadata,
+    normalizeTags,
+    normalizeDate,
+    READING_STATUSES
+};
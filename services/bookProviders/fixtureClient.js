@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config');
+const metrics = require('../metrics');
+
+/**
+ * Derive a readable fixture file name from a request, e.g.
+ * "books-v1-volumes-maxresults-1-printtype-books-q-isbn-9780441013593"
+ */
+function fixtureName(url, params = {}) {
+    const { pathname } = new URL(url);
+    const query = Object.keys(params)
+        .filter(key => key !== 'key')
+        .sort()
+        .map(key => `${key}-${params[key]}`)
+        .join('-');
+
+    return `${pathname}-${query}`
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .toLowerCase();
+}
+
+/**
+ * HTTP client for the book metadata providers that can record upstream responses
+ * to JSON files and replay them, so lookups can be exercised offline.
+ *
+ * Modes: "live" (plain axios), "record" (axios, saving every response) and
+ * "replay" (read saved responses only; a missing fixture is a 404).
+ * Live requests are timed and counted in the upstream metrics.
+ */
+class FixtureClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Provider name, used as the fixture subdirectory
+     * @param {string} [options.mode] - "live", "record" or "replay"
+     * @param {string} options.dir - Root fixtures directory
+     */
+    constructor({ provider, mode = 'live', dir }) {
+        this.provider = provider;
+        this.mode = mode;
+        this.dir = path.join(dir, provider);
+    }
+
+    /**
+     * Client for a provider, in the mode set by BOOK_PROVIDER_FIXTURES
+     * @param {string} provider - e.g. "open-library"
+     * @returns {FixtureClient}
+     */
+    static forProvider(provider) {
+        return new FixtureClient({
+            provider,
+            mode: config.bookProviders.fixtures,
+            dir: config.bookProviders.fixturesDir
+        });
+    }
+
+    fixturePath(url, params) {
+        return path.join(this.dir, `${fixtureName(url, params)}.json`);
+    }
+
+    /**
+     * @param {string} url
+     * @param {Object} [config] - axios request config
+     * @returns {Promise<{status: number, data: *}>}
+     */
+    async get(url, config = {}) {
+        const file = this.fixturePath(url, config.params);
+
+        if (this.mode === 'replay') {
+            if (!fs.existsSync(file)) {
+                const error = new Error(`No recorded fixture ${path.relative(process.cwd(), file)}`);
+                error.response = { status: 404, data: null };
+                throw error;
+            }
+
+            const { status, data } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { status, data };
+        }
+
+        const response = await metrics.timeUpstream(this.provider, () => axios.get(url, config));
+
+        if (this.mode === 'record') {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({ status: response.status, data: response.data }, null, 2) + '\n');
+        }
+
+        return response;
+    }
+}
+
+module.exports = FixtureClient;
@@ -0,0 +1,32 @@
+const { toBookRecord } = require('../googleBooksService');
+
+/**
+ * Book metadata from the Google Books volumes API
+ */
+class GoogleBooksProvider {
+    /**
+     * @param {Object} options
+     * @param {{searchVolumes: Function}} options.client - Google Books client
+     */
+    constructor({ client }) {
+        this.name = 'google-books';
+        this.client = client;
+    }
+
+    /**
+     * @param {{isbn10: (string|null), isbn13: string}} isbn - Normalized ISBN
+     * @returns {Promise<Object|null>} - Normalized book record, or null if not found
+     */
+    async lookupIsbn({ isbn13 }) {
+        const [volume] = await this.client.searchVolumes(`isbn:${isbn13}`, 1);
+
+        if (!volume) {
+            return null;
+        }
+
+        const { id, ...record } = toBookRecord(volume);
+        return { ...record, ids: { googleBooks: id } };
+    }
+}
+
+module.exports = GoogleBooksProvider;
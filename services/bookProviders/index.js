@@ -0,0 +1,39 @@
+const config = require('../../config');
+const FixtureClient = require('./fixtureClient');
+const googleBooksClient = require('../googleBooksClient');
+const ConcurrencyLimiter = require('../concurrencyLimiter');
+const GoogleBooksProvider = require('./googleBooksProvider');
+const OpenLibraryProvider = require('./openLibraryProvider');
+
+const providerFactories = {
+    'google-books': () => new GoogleBooksProvider({
+        client: googleBooksClient
+    }),
+    'open-library': () => new OpenLibraryProvider({
+        http: FixtureClient.forProvider('open-library'),
+        limiter: new ConcurrencyLimiter(config.bookProviders.openLibraryConcurrency)
+    })
+};
+
+let providers;
+
+/**
+ * The configured book metadata providers, in lookup order (BOOK_PROVIDERS)
+ * @returns {Array<Object>}
+ */
+function getBookProviders() {
+    if (!providers) {
+        providers = config.bookProviders.names.map(name => {
+            if (!providerFactories[name]) {
+                throw new Error(`Unknown book provider "${name}"`);
+            }
+            return providerFactories[name]();
+        });
+    }
+
+    return providers;
+}
+
+module.exports = {
+    getBookProviders
+};
@@ -0,0 +1,60 @@
+const OPEN_LIBRARY_URL = 'https://openlibrary.org/api/books';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Book metadata from the Open Library Books API
+ */
+class OpenLibraryProvider {
+    /**
+     * @param {Object} options
+     * @param {{get: Function}} options.http - axios-compatible client
+     * @param {{run: Function}} options.limiter - ConcurrencyLimiter bounding the requests in flight
+     */
+    constructor({ http, limiter }) {
+        this.name = 'open-library';
+        this.http = http;
+        this.limiter = limiter;
+    }
+
+    /**
+     * @param {{isbn10: (string|null), isbn13: string}} isbn - Normalized ISBN
+     * @returns {Promise<Object|null>} - Normalized book record, or null if not found
+     */
+    async lookupIsbn({ isbn13 }) {
+        const bibkey = `ISBN:${isbn13}`;
+        const response = await this.limiter.run(() => this.http.get(OPEN_LIBRARY_URL, {
+            params: {
+                bibkeys: bibkey,
+                format: 'json',
+                jscmd: 'data'
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }));
+
+        const book = response.data[bibkey];
+
+        if (!book) {
+            return null;
+        }
+
+        const identifiers = book.identifiers || {};
+
+        return {
+            title: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+            authors: (book.authors || []).map(author => author.name),
+            publisher: book.publishers?.[0]?.name,
+            publishedDate: book.publish_date,
+            description: null,
+            pageCount: book.number_of_pages,
+            categories: (book.subjects || []).slice(0, 5).map(subject => subject.name),
+            imageLinks: book.cover ? { thumbnail: book.cover.medium } : {},
+            previewLink: book.url,
+            isbn10: identifiers.isbn_10?.[0],
+            isbn13: identifiers.isbn_13?.[0],
+            ids: { openLibrary: identifiers.openlibrary?.[0] }
+        };
+    }
+}
+
+module.exports = OpenLibraryProvider;
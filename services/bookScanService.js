@@ -0,0 +1,171 @@
+const config = require('../config');
+const openaiService = require('./openaiService');
+const googleBooksService = require('./googleBooksService');
+const { normalize, titleSimilarity, authorSimilarity } = require('./fuzzyMatch');
+const { normalizeIsbn } = require('./isbn');
+const { toApiError } = require('./errors');
+const logger = require('./logger');
+
+// How alike two detections must be to count as the same book
+const DUPLICATE_TITLE_SIMILARITY = 0.9;
+const DUPLICATE_AUTHOR_SIMILARITY = 0.8;
+
+const UNKNOWN_TITLE = 'Unknown Title';
+const UNKNOWN_AUTHOR = 'Unknown Author';
+
+/**
+ * Scan a shelf photo and verify each detected book against Google Books
+ * @param {string} imageBase64 - Base64 encoded image
+ * @param {Object} [options] - OpenAIService options
+ * @returns {Promise<Array<Object>>} - Per book: what was detected, the best match
+ *   with its confidence, and alternative candidates for "did you mean"
+ */
+async function scanAndMatch(imageBase64, options = {}) {
+    const detectedBooks = await openaiService.scanBooks(imageBase64, options);
+
+    return Promise.all(detectedBooks.map(async detected => {
+        const author = detected.author === UNKNOWN_AUTHOR ? null : detected.author;
+        const { found, confidence, match, alternatives, lookupFailed, error } = await googleBooksService.findBestMatch({
+            title: detected.title,
+            author
+        });
+
+        return {
+            detected,
+            found,
+            confidence,
+            match,
+            alternatives,
+            ...(lookupFailed && { lookupFailed, error })
+        };
+    }));
+}
+
+/**
+ * Run fn over items, at most `limit` at a time, keeping the results in order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Whether two scanned books are the same book seen in two photos: the same ISBN,
+ * or near-identical titles by compatible authors
+ */
+function isSameBook(a, b) {
+    const isbnA = normalizeIsbn(a.isbn);
+    const isbnB = normalizeIsbn(b.isbn);
+    if (isbnA && isbnB) {
+        return isbnA.isbn13 === isbnB.isbn13;
+    }
+
+    if (a.title === UNKNOWN_TITLE || b.title === UNKNOWN_TITLE ||
+        titleSimilarity(a.title, b.title) < DUPLICATE_TITLE_SIMILARITY) {
+        return false;
+    }
+
+    // A spine without a legible author doesn't rule out a match
+    if (a.author === UNKNOWN_AUTHOR || b.author === UNKNOWN_AUTHOR) {
+        return true;
+    }
+    return normalize(a.author) === normalize(b.author) ||
+        authorSimilarity(a.author, [b.author]) >= DUPLICATE_AUTHOR_SIMILARITY;
+}
+
+/**
+ * Merge the books from every image, keeping one entry per book. Fields missing
+ * from the first sighting are filled in from later ones.
+ * @param {Array<Array<Object>>} booksPerImage - Scanned books, by image index
+ * @returns {Array<Object>} - Books, each with `images`: the indexes it was seen in
+ */
+function mergeBooks(booksPerImage) {
+    const merged = [];
+
+    booksPerImage.forEach((books, imageIndex) => {
+        for (const book of books) {
+            const existing = merged.find(candidate => isSameBook(candidate, book));
+
+            if (!existing) {
+                merged.push({ ...book, images: [imageIndex] });
+                continue;
+            }
+
+            if (existing.author === UNKNOWN_AUTHOR && book.author !== UNKNOWN_AUTHOR) {
+                existing.author = book.author;
+            }
+            for (const field of ['isbn', 'genre', 'pageCount']) {
+                existing[field] = existing[field] || book[field];
+            }
+            if (!existing.images.includes(imageIndex)) {
+                existing.images.push(imageIndex);
+            }
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Scan several photos of the same shelves (e.g. overlapping shots of one bookcase)
+ * and merge the books found in them. Images are scanned with bounded concurrency
+ * (SCAN_BATCH_CONCURRENCY); an image that fails is reported in its result and the
+ * rest of the batch carries on.
+ * @param {Array<string>} images - Base64 encoded images
+ * @param {Object} [options] - OpenAIService options
+ * @returns {Promise<Object>} - `{ images, books, summary }`: per-image results
+ *   (`{ index, books }` or `{ index, error, code, status }`), the merged books, and counts
+ */
+async function scanBooksBatch(images, options = {}) {
+    const results = await mapWithConcurrency(images, config.scan.batchConcurrency, async (imageBase64, index) => {
+        try {
+            return { index, books: await openaiService.scanBooks(imageBase64, options) };
+        } catch (error) {
+            // A photo without books is a result, not a failure
+            if (error.code === 'NO_BOOKS_DETECTED') {
+                return { index, books: [] };
+            }
+
+            logger.warn('Batch image scan failed', { index, error: error.message });
+            const { status, code, message, details } = toApiError(error);
+            return {
+                index,
+                error: message,
+                code,
+                status,
+                ...(details && { details })
+            };
+        }
+    });
+
+    const scanned = results.filter(result => result.books);
+    const books = mergeBooks(results.map(result => result.books || []));
+
+    return {
+        images: results,
+        books,
+        summary: {
+            images: results.length,
+            succeeded: scanned.length,
+            failed: results.length - scanned.length,
+            detected: scanned.reduce((count, result) => count + result.books.length, 0),
+            unique: books.length
+        }
+    };
+}
+
+module.exports = {
+    scanAndMatch,
+    scanBooksBatch,
+    mergeBooks
+};
@@ -0,0 +1,129 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+const { ValidationError } = require('./errors');
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved ranges,
+// including cloud metadata endpoints such as 169.254.169.254
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_RANGES) {
+    blockedAddresses.addSubnet(address, prefix, family);
+}
+
+/**
+ * Whether an address is one a callback must not reach. IPv4-mapped IPv6
+ * addresses (::ffff:10.0.0.1) are judged by their IPv4 address.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return isBlockedAddress(mapped[1]);
+    }
+
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isAllowedHost(hostname) {
+    return config.jobs.callbackHosts.includes(hostname.toLowerCase());
+}
+
+/**
+ * Check a callback URL before a job is created or its webhook is sent. With
+ * JOB_CALLBACK_HOSTS set, only those hosts may be called back; otherwise any
+ * host whose addresses are all public. Checked again at delivery because DNS
+ * may have changed since.
+ * @param {string} callbackUrl
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - INVALID_CALLBACK_URL
+ */
+async function checkCallbackUrl(callbackUrl) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new ValidationError("callbackUrl must be an http(s) URL", { code: 'INVALID_CALLBACK_URL' });
+    }
+
+    // URL keeps the brackets around IPv6 addresses
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    if (config.jobs.callbackHosts.length > 0) {
+        if (!isAllowedHost(hostname)) {
+            throw new ValidationError(`callbackUrl host "${hostname}" is not in JOB_CALLBACK_HOSTS`, { code: 'INVALID_CALLBACK_URL' });
+        }
+        return;
+    }
+
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw new ValidationError(`callbackUrl host "${hostname}" could not be resolved`, { code: 'INVALID_CALLBACK_URL' });
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new ValidationError(`callbackUrl host "${hostname}" resolves to a private, loopback or link-local address`, { code: 'INVALID_CALLBACK_URL' });
+    }
+}
+
+/**
+ * dns.lookup that refuses blocked addresses, so the address connected to is the
+ * one checked, even if the name is re-resolved between the check and the request
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (!isAllowedHost(hostname) && addresses.some(isBlockedAddress)) {
+            return callback(new Error(`${hostname} resolves to a private, loopback or link-local address`));
+        }
+
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Agents for sending webhooks: connections only to addresses checkCallbackUrl allows
+ */
+const callbackAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = {
+    checkCallbackUrl,
+    isBlockedAddress,
+    callbackAgents
+};
@@ -0,0 +1,54 @@
+/**
+ * Caps how many requests to an upstream API run at once; the rest wait their
+ * turn in arrival order.
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {number} concurrency - Requests allowed at once
+     */
+    constructor(concurrency) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Wait for a free request slot
+     */
+    acquire() {
+        if (this.running < this.concurrency) {
+            this.running++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+
+        if (next) {
+            // Hand the slot straight to the next waiting request
+            next();
+        } else {
+            this.running--;
+        }
+    }
+
+    /**
+     * Run `task` in a slot, releasing it however the task ends
+     * @param {Function} task - Async function making the request
+     * @returns {Promise<*>} - What `task` resolves to
+     */
+    async run(task) {
+        await this.acquire();
+
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const config = require('../config');
+const openaiService = require('./openaiService');
+const { createStore } = require('./stores');
+const { NotFoundError } = require('./errors');
+
+// Rough per-message overhead for role and formatting tokens
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + MESSAGE_TOKEN_OVERHEAD;
+}
+
+class ConversationService {
+    constructor() {
+        this.store = createStore(config.storage.conversations, 'conversations');
+        // Tokens available for the history sent with each turn. The completion's own
+        // max_tokens comes on top of this, so the total stays inside the model's context.
+        this.contextTokenBudget = config.conversations.tokenBudget;
+        // Conversation ID -> the last queued update, so updates to one conversation
+        // run one at a time instead of overwriting each other's history
+        this.updates = new Map();
+    }
+
+    /**
+     * Run `update` after any update already queued for the conversation
+     * @param {string} id - Conversation ID
+     * @param {Function} update - Async read-modify-write of the conversation
+     * @returns {Promise<*>} - What `update` resolves to
+     */
+    serialize(id, update) {
+        const previous = this.updates.get(id) || Promise.resolve();
+        const result = previous.catch(() => {}).then(update);
+        const settled = result.catch(() => {});
+
+        this.updates.set(id, settled);
+        settled.then(() => {
+            if (this.updates.get(id) === settled) {
+                this.updates.delete(id);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * @param {string} [systemPrompt]
+     * @param {Object} [apiKey] - Key record of the caller, who owns the conversation
+     */
+    async createConversation(systemPrompt = '', apiKey) {
+        const now = new Date().toISOString();
+        const conversation = {
+            id: crypto.randomUUID(),
+            keyId: apiKey?.id || null,
+            app: apiKey?.app || null,
+            systemPrompt,
+            messages: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        return this.store.set(conversation.id, conversation);
+    }
+
+    /**
+     * @param {string} id - Conversation ID
+     * @param {Object} [apiKey] - Caller's key record; only the owner (or an admin) can see a conversation
+     */
+    async getConversation(id, apiKey) {
+        const conversation = await this.store.get(id);
+        const isOwner = conversation && (conversation.keyId === apiKey?.id || apiKey?.scopes?.includes('*'));
+
+        if (!conversation || !isOwner) {
+            throw new NotFoundError("Conversation not found", 'CONVERSATION_NOT_FOUND');
+        }
+
+        return conversation;
+    }
+
+    /**
+     * @param {string} id - Conversation ID
+     * @param {Object} [apiKey] - Caller's key record; only the owner (or an admin) can delete
+     */
+    async deleteConversation(id, apiKey) {
+        await this.serialize(id, async () => {
+            await this.getConversation(id, apiKey);
+            await this.store.delete(id);
+        });
+    }
+
+    /**
+     * Select the most recent messages that fit in the token budget, always
+     * keeping the system prompt and the newest message.
+     * @param {Object} conversation
+     * @returns {Array<{role: string, content: string}>} - Messages to send upstream
+     */
+    buildContextWindow(conversation) {
+        const systemMessages = conversation.systemPrompt
+            ? [{ role: 'system', content: conversation.systemPrompt }]
+            : [];
+        let remaining = this.contextTokenBudget - systemMessages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+        const window = [];
+        for (let i = conversation.messages.length - 1; i >= 0; i--) {
+            const { role, content } = conversation.messages[i];
+            const tokens = estimateTokens(content);
+
+            if (tokens > remaining && window.length > 0) {
+                break;
+            }
+
+            window.unshift({ role, content });
+            remaining -= tokens;
+        }
+
+        return [...systemMessages, ...window];
+    }
+
+    /**
+     * Append a user message, get the assistant reply and store both. Turns in
+     * one conversation are taken in order, each seeing the one before it.
+     * @param {string} id - Conversation ID
+     * @param {string} message - User message
+     * @param {Object} [options]
+     * @param {Object} [options.apiKey] - Caller's key record; only the owner (or an admin) can add to it
+     * @param {string} [options.model] - Client-requested model
+     * @returns {Promise<Object>} - The assistant message and updated conversation
+     */
+    async appendMessage(id, message, { apiKey, ...options } = {}) {
+        return this.serialize(id, () => this.takeTurn(id, message, apiKey, options));
+    }
+
+    async takeTurn(id, message, apiKey, options) {
+        const conversation = await this.getConversation(id, apiKey);
+
+        // Build a new history rather than mutating the stored record, so a failed
+        // upstream call leaves the conversation untouched
+        const messages = [
+            ...conversation.messages,
+            { role: 'user', content: message, createdAt: new Date().toISOString() }
+        ];
+
+        const reply = await openaiService.sendChat(this.buildContextWindow({ ...conversation, messages }), options);
+
+        const updated = {
+            ...conversation,
+            messages: [...messages, { role: 'assistant', content: reply, createdAt: new Date().toISOString() }],
+            updatedAt: new Date().toISOString()
+        };
+        await this.store.set(updated.id, updated);
+
+        return { message: reply, conversation: updated };
+    }
+}
+
+module.exports = new ConversationService();
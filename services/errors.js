@@ -0,0 +1,257 @@
+/**
+ * Error codes returned in the `code` of every error response. Codes are stable:
+ * clients map them to their own (localized) messages, so never rename one.
+ */
+const ERROR_CODES = {
+    INVALID_REQUEST: { status: 400, title: 'Invalid request' },
+    INVALID_JSON: { status: 400, title: 'Request body is not valid JSON' },
+    IMAGE_REQUIRED: { status: 400, title: 'Image data is required' },
+    INVALID_SCHEMA: { status: 400, title: 'Invalid JSON Schema' },
+    INVALID_ISBN: { status: 400, title: 'Invalid ISBN' },
+    INVALID_IMPORT: { status: 400, title: 'Import file not understood' },
+    INVALID_CALLBACK_URL: { status: 400, title: 'Callback URL not allowed' },
+    MODEL_NOT_ALLOWED: { status: 400, title: 'Model not allowed' },
+    USER_ID_REQUIRED: { status: 400, title: 'X-User-Id header is required' },
+    API_KEY_REQUIRED: { status: 401, title: 'API key is required' },
+    INVALID_API_KEY: { status: 401, title: 'Invalid API key' },
+    MISSING_SCOPE: { status: 403, title: 'API key is missing a scope' },
+    SYSTEM_PROMPT_NOT_ALLOWED: { status: 403, title: 'This app may not set the system prompt' },
+    NOT_FOUND: { status: 404, title: 'Not found' },
+    ROUTE_NOT_FOUND: { status: 404, title: 'No such route' },
+    NO_BOOKS_DETECTED: { status: 404, title: 'No books detected' },
+    BOOK_NOT_FOUND: { status: 404, title: 'Book not found' },
+    ISBN_NOT_FOUND: { status: 404, title: 'No book found for this ISBN' },
+    SHELF_NOT_FOUND: { status: 404, title: 'Shelf not found' },
+    CONVERSATION_NOT_FOUND: { status: 404, title: 'Conversation not found' },
+    PROMPT_NOT_FOUND: { status: 404, title: 'Prompt template not found' },
+    JOB_NOT_FOUND: { status: 404, title: 'Job not found' },
+    API_KEY_NOT_FOUND: { status: 404, title: 'API key not found' },
+    UPSTREAM_TIMEOUT: { status: 408, title: 'The model request timed out' },
+    CONFLICT: { status: 409, title: 'Conflict' },
+    PAYLOAD_TOO_LARGE: { status: 413, title: 'Request body is too large' },
+    IMAGE_TOO_LARGE: { status: 413, title: 'Image is too large' },
+    INPUT_TOO_LONG: { status: 413, title: 'Input is too long' },
+    INVALID_IMAGE: { status: 415, title: 'Unsupported or corrupt image' },
+    INVALID_MODEL_OUTPUT: { status: 422, title: 'Model output failed schema validation' },
+    IMAGE_TRANSFORM_FAILED: { status: 422, title: 'Image transform failed' },
+    INPUT_BLOCKED: { status: 422, title: 'Input blocked by the content policy' },
+    PROMPT_INJECTION: { status: 422, title: 'Input looks like a prompt injection' },
+    OUTPUT_BLOCKED: { status: 422, title: 'Model output blocked by the content policy' },
+    RATE_LIMITED: { status: 429, title: 'Rate limit exceeded' },
+    QUOTA_EXCEEDED: { status: 429, title: 'Daily quota exceeded' },
+    PROVIDER_RATE_LIMITED: { status: 429, title: 'The model provider is rate limiting requests' },
+    INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+    JOB_INTERRUPTED: { status: 500, title: 'The job was interrupted' },
+    UPSTREAM_ERROR: { status: 502, title: 'The model provider returned an error' },
+    LOOKUP_FAILED: { status: 502, title: 'Book metadata lookup failed' },
+    MODEL_UNAVAILABLE: { status: 503, title: 'The model is failing and temporarily not being called' }
+};
+
+// Code for errors that only carry an HTTP status
+const DEFAULT_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'INVALID_API_KEY',
+    403: 'MISSING_SCOPE',
+    404: 'NOT_FOUND',
+    408: 'UPSTREAM_TIMEOUT',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'INVALID_IMAGE',
+    422: 'INVALID_MODEL_OUTPUT',
+    429: 'RATE_LIMITED',
+    502: 'UPSTREAM_ERROR',
+    503: 'MODEL_UNAVAILABLE'
+};
+
+/**
+ * An error to report to the client. The HTTP status and title come from the code.
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} [message] - Detail for this occurrence; defaults to the code's title
+     * @param {Object} [options]
+     * @param {*} [options.details] - Extra machine-readable detail, e.g. validation errors
+     * @param {number} [options.retryAfter] - Seconds until a retry may succeed (sent as Retry-After)
+     * @param {Error} [options.cause]
+     */
+    constructor(code, message, { details, retryAfter, cause } = {}) {
+        const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(message || definition.title, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = definition.status;
+        this.title = definition.title;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * RFC 7807 problem details. `error` repeats `detail` for clients written
+     * against the old `{ error }` responses.
+     * @param {string} [instance] - The request path
+     * @returns {Object}
+     */
+    toProblem(instance) {
+        return {
+            type: `urn:microtools:error:${this.code.toLowerCase().replace(/_/g, '-')}`,
+            title: this.title,
+            status: this.status,
+            detail: this.message,
+            code: this.code,
+            ...(instance && { instance }),
+            ...(this.details !== undefined && { details: this.details }),
+            ...(this.retryAfter !== undefined && { retryAfter: this.retryAfter }),
+            error: this.message
+        };
+    }
+}
+
+class ValidationError extends ApiError {
+    constructor(message, { code = 'INVALID_REQUEST', details } = {}) {
+        super(code, message, { details });
+    }
+}
+
+class AuthenticationError extends ApiError {
+    constructor(code, message) {
+        super(code, message);
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message) {
+        super('MISSING_SCOPE', message);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message, code = 'NOT_FOUND') {
+        super(code, message);
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message) {
+        super('CONFLICT', message);
+    }
+}
+
+class ImageError extends ApiError {
+    /**
+     * @param {string} code - IMAGE_REQUIRED, IMAGE_TOO_LARGE, INVALID_IMAGE or IMAGE_TRANSFORM_FAILED
+     */
+    constructor(code, message) {
+        super(code, message);
+    }
+}
+
+class RateLimitError extends ApiError {
+    constructor(message, retryAfter, code = 'RATE_LIMITED') {
+        super(code, message, { retryAfter });
+    }
+}
+
+/**
+ * The guardrails refused a request or the model's answer to it
+ */
+class GuardrailError extends ApiError {
+    /**
+     * @param {string} code - SYSTEM_PROMPT_NOT_ALLOWED, INPUT_TOO_LONG, INPUT_BLOCKED, PROMPT_INJECTION or OUTPUT_BLOCKED
+     * @param {string} message
+     * @param {{stage: string, category: string}} details - The stage that blocked it and why
+     */
+    constructor(code, message, details) {
+        super(code, message, { details });
+    }
+}
+
+/**
+ * A model or metadata provider failed: timed out, rate limited us, or returned an error
+ */
+class UpstreamError extends ApiError {
+    constructor(code, message, { details, retryAfter, cause, provider } = {}) {
+        super(code, message, { details, retryAfter, cause });
+        this.provider = provider;
+    }
+}
+
+/**
+ * The typed error for a failed provider call (an axios error, usually)
+ * @param {Error} error
+ * @param {string} [provider] - Provider name for the message
+ * @returns {ApiError}
+ */
+function upstreamError(error, provider = 'The model provider') {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const status = error.response?.status;
+    const upstreamMessage = error.response?.data?.error?.message;
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new UpstreamError('UPSTREAM_TIMEOUT', 'The API request timed out. Please try again.', { cause: error, provider });
+    }
+
+    if (status === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        return new UpstreamError('PROVIDER_RATE_LIMITED', `${provider} is rate limiting requests. Please try again later.`, {
+            retryAfter: Number.isNaN(retryAfter) ? undefined : retryAfter,
+            cause: error,
+            provider
+        });
+    }
+
+    const message = status ?
+        `${provider} returned HTTP ${status}${upstreamMessage ? `: ${upstreamMessage}` : ''}` :
+        `${provider} could not be reached: ${error.message}`;
+    return new UpstreamError('UPSTREAM_ERROR', message, { cause: error, provider });
+}
+
+/**
+ * Normalize anything thrown into an ApiError: typed errors pass through, plain
+ * `{ status, message }` objects and body-parser errors keep their status, provider
+ * errors are mapped by upstreamError, and everything else is an INTERNAL_ERROR.
+ * @param {*} error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    // body-parser
+    if (error && error.type === 'entity.parse.failed') {
+        return new ValidationError(`Request body is not valid JSON: ${error.message}`, { code: 'INVALID_JSON' });
+    }
+    if (error && error.type === 'entity.too.large') {
+        return new ApiError('PAYLOAD_TOO_LARGE', `Request body is over the ${error.limit} byte limit`);
+    }
+
+    if (error && error.isAxiosError) {
+        return upstreamError(error);
+    }
+
+    if (error && error.status && DEFAULT_CODES[error.status]) {
+        return new ApiError(DEFAULT_CODES[error.status], error.message, { details: error.details });
+    }
+
+    return new ApiError('INTERNAL_ERROR', undefined, { cause: error });
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ImageError,
+    RateLimitError,
+    GuardrailError,
+    UpstreamError,
+    upstreamError,
+    toApiError
+};
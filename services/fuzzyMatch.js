@@ -0,0 +1,111 @@
+// Leading articles ignored when comparing titles
+const LEADING_ARTICLES = /^(the|a|an|le|la|les|el|der|die|das)\s+/;
+
+/**
+ * Lowercase, strip accents and punctuation, and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+    return (text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeTitle(title) {
+    return normalize(title).replace(LEADING_ARTICLES, '');
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s/g, '');
+    const grams = [];
+
+    for (let i = 0; i < compact.length - 1; i++) {
+        grams.push(compact.slice(i, i + 2));
+    }
+
+    return grams;
+}
+
+/**
+ * Sørensen-Dice coefficient over character bigrams, 0 to 1.
+ * Tolerant of OCR-style misspellings and small word-order changes.
+ */
+function diceCoefficient(a, b) {
+    if (a === b) {
+        return a ? 1 : 0;
+    }
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+
+    if (gramsA.length === 0 || gramsB.length === 0) {
+        return 0;
+    }
+
+    const counts = new Map();
+    for (const gram of gramsA) {
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (const gram of gramsB) {
+        const count = counts.get(gram) || 0;
+        if (count > 0) {
+            overlap++;
+            counts.set(gram, count - 1);
+        }
+    }
+
+    return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * Similarity of two titles. A candidate whose main title (before any subtitle)
+ * matches scores well even when it carries a subtitle.
+ * @param {string} detected - Title read from the image
+ * @param {string} candidate - Title from the metadata provider
+ * @returns {number} - 0 to 1
+ */
+function titleSimilarity(detected, candidate) {
+    const a = normalizeTitle(detected);
+    const full = normalizeTitle(candidate);
+    const main = normalizeTitle((candidate || '').split(/[:(]|,\s+or\s+/i)[0]);
+
+    return Math.max(diceCoefficient(a, full), diceCoefficient(a, main));
+}
+
+/**
+ * Similarity of a detected author to the closest candidate author, also
+ * accepting a surname-only match ("Herbert" vs "Frank Herbert")
+ * @param {string} detected - Author read from the image
+ * @param {Array<string>} candidates - Authors from the metadata provider
+ * @returns {number} - 0 to 1
+ */
+function authorSimilarity(detected, candidates) {
+    const a = normalize(detected);
+
+    if (!a || !candidates || candidates.length === 0) {
+        return 0;
+    }
+
+    return Math.max(...candidates.map(candidate => {
+        const b = normalize(candidate);
+        const surname = b.split(' ').pop();
+        const surnameMatch = a.split(' ').includes(surname) ? 0.9 : 0;
+        return Math.max(diceCoefficient(a, b), surnameMatch);
+    }));
+}
+
+module.exports = {
+    normalize,
+    normalizeTitle,
+    diceCoefficient,
+    titleSimilarity,
+    authorSimilarity
+};
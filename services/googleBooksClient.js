@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const config = require('../config');
+const FixtureClient = require('./bookProviders/fixtureClient');
+const { createStore } = require('./stores');
+const ConcurrencyLimiter = require('./concurrencyLimiter');
+const logger = require('./logger');
+
+const GOOGLE_BOOKS_URL = 'https://www.googleapis.com/books/v1/volumes';
+
+const REQUEST_TIMEOUT_MS = 10000;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+function cacheKeyFor(query, maxResults) {
+    return crypto.createHash('sha256').update(`${query}\n${maxResults}`).digest('hex');
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rate limits, upstream 5xx and network errors are worth retrying; other 4xx are not
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential backoff with full jitter,
+ * or the server's Retry-After when it sends one
+ */
+function retryDelay(error, attempt) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+
+    const ceiling = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Google Books volumes API client shared by every Google Books lookup. Limits
+ * concurrent requests, retries rate limits and upstream errors with backoff, and
+ * caches results (including "no results") in a persistent store, so rescanning a
+ * shelf doesn't hit the API again.
+ *
+ * A lookup that still fails after the retries throws an error with
+ * `lookupFailed: true`, so callers can tell it apart from an empty result.
+ */
+class GoogleBooksClient {
+    constructor() {
+        this.apiKey = config.googleBooks.apiKey;
+        this.limiter = new ConcurrencyLimiter(config.googleBooks.concurrency);
+        this.maxRetries = config.googleBooks.maxRetries;
+        this.cacheTtlMs = config.googleBooks.cacheTtlHours * 60 * 60 * 1000;
+        this.cache = createStore(config.storage.googleBooksCache, 'google-books');
+        this.http = FixtureClient.forProvider('google-books');
+
+        this.prune().catch(error => logger.error('Google Books cache pruning failed', { error }));
+    }
+
+    isFresh(entry) {
+        return Date.now() - entry.cachedAt < this.cacheTtlMs;
+    }
+
+    /**
+     * Delete cache entries older than GOOGLE_BOOKS_CACHE_TTL_HOURS, run at startup
+     * for the searches that aren't repeated (repeated ones are replaced when read)
+     */
+    async prune() {
+        const entries = await this.cache.values();
+        const stale = entries.filter(entry => !this.isFresh(entry));
+
+        for (const entry of stale) {
+            await this.cache.delete(cacheKeyFor(entry.query, entry.maxResults));
+        }
+
+        if (stale.length > 0) {
+            logger.info('Deleted expired Google Books cache entries', { count: stale.length });
+        }
+    }
+
+    async request(params) {
+        if (this.apiKey) {
+            params = { ...params, key: this.apiKey };
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.limiter.acquire();
+
+            let response;
+            try {
+                response = await this.http.get(GOOGLE_BOOKS_URL, { params, timeout: REQUEST_TIMEOUT_MS });
+            } catch (error) {
+                this.limiter.release();
+
+                if (!isRetryable(error) || attempt >= this.maxRetries) {
+                    const status = error.response?.status;
+                    const lookupError = new Error(status ?
+                        `Google Books returned HTTP ${status}` :
+                        `Google Books request failed: ${error.message}`);
+                    lookupError.lookupFailed = true;
+                    throw lookupError;
+                }
+
+                // Back off without holding a slot so other lookups can proceed
+                await delay(retryDelay(error, attempt + 1));
+                continue;
+            }
+
+            this.limiter.release();
+            return response.data;
+        }
+    }
+
+    /**
+     * One uncached, unretried search, for the readiness check
+     * @param {Object} options
+     * @param {number} options.timeout
+     * @returns {Promise<number>} - HTTP status of the response
+     */
+    async ping({ timeout }) {
+        const params = { q: 'isbn:9780441013593', maxResults: 1, printType: 'books', ...(this.apiKey && { key: this.apiKey }) };
+        const response = await this.http.get(GOOGLE_BOOKS_URL, { params, timeout, validateStatus: () => true });
+        return response.status;
+    }
+
+    /**
+     * Search volumes, served from the cache when possible
+     * @param {string} query - Google Books query, e.g. `intitle:dune inauthor:herbert` or `isbn:9780441013593`
+     * @param {number} maxResults - Number of results to fetch
+     * @returns {Promise<Array<Object>>} - Raw volume items, empty if nothing matched
+     * @throws {Error} - With `lookupFailed: true` if Google Books could not be reached
+     */
+    async searchVolumes(query, maxResults) {
+        const cacheKey = cacheKeyFor(query, maxResults);
+
+        try {
+            const cached = await this.cache.get(cacheKey);
+
+            if (cached && this.isFresh(cached)) {
+                return cached.items;
+            }
+            if (cached) {
+                // Deleted now in case the lookup below fails and doesn't replace it
+                await this.cache.delete(cacheKey);
+            }
+        } catch (error) {
+            logger.error('Google Books cache read failed', { error });
+        }
+
+        const data = await this.request({ q: query, maxResults, printType: 'books' });
+        const items = data.items || [];
+
+        this.cache.set(cacheKey, { query, maxResults, items, cachedAt: Date.now() })
+            .catch(error => logger.error('Google Books cache write failed', { error }));
+
+        return items;
+    }
+}
+
+module.exports = new GoogleBooksClient();
@@ -1,55 +1,144 @@
-const axios = require('axios');
+const googleBooksClient = require('./googleBooksClient');
+const fuzzyMatch = require('./fuzzyMatch');
+const logger = require('./logger');
+
+// Candidates fetched per lookup when ranking matches
+const DEFAULT_CANDIDATES = 5;
+
+// Below this confidence a detected book is reported as not found (alternatives are still returned)
+const MIN_MATCH_CONFIDENCE = 0.5;
+
+// Derivative works that often outrank the book itself in search results
+const STUDY_GUIDE_PATTERN = /\b(study guide|summary|sparknotes|cliffsnotes|analysis of|workbook|quicklet)\b/i;
+
+/**
+ * Map a Google Books volume to our book record
+ * @param {Object} volume - Item from the volumes API
+ * @returns {Object} - Book record (without the searched `title`)
+ */
+function toBookRecord(volume) {
+    const volumeInfo = volume.volumeInfo || {};
+
+    // Extract ISBN numbers
+    const industryIdentifiers = volumeInfo.industryIdentifiers || [];
+    const isbn10 = industryIdentifiers.find(id => id.type === 'ISBN_10')?.identifier;
+    const isbn13 = industryIdentifiers.find(id => id.type === 'ISBN_13')?.identifier;
+
+    return {
+        id: volume.id,
+        title: volumeInfo.subtitle ? `${volumeInfo.title}: ${volumeInfo.subtitle}` : volumeInfo.title,
+        authors: volumeInfo.authors || [],
+        publisher: volumeInfo.publisher,
+        publishedDate: volumeInfo.publishedDate,
+        description: volumeInfo.description ?
+            volumeInfo.description.substring(0, 200) + (volumeInfo.description.length > 200 ? '...' : '') :
+            null,
+        pageCount: volumeInfo.pageCount,
+        categories: volumeInfo.categories || [],
+        averageRating: volumeInfo.averageRating,
+        imageLinks: volumeInfo.imageLinks || {},
+        previewLink: volumeInfo.previewLink,
+        isbn10,
+        isbn13
+    };
+}
 
 /**
  * Search for a book by title on Google Books API
  * @param {string} title - The book title to search for
- * @returns {Promise<Object>} - Book data from Google Books
+ * @returns {Promise<Object>} - Book data from Google Books. `found: false` with
+ *   `lookupFailed: true` means Google Books could not be reached, so retry later.
  */
 async function searchBookByTitle(title) {
     try {
-        const response = await axios.get('https://www.googleapis.com/books/v1/volumes', {
-            params: {
-                q: `intitle:${title}`,
-                maxResults: 1,
-                printType: 'books'
-            }
-        });
-
-        if (response.data.totalItems === 0) {
+        const items = await googleBooksClient.searchVolumes(`intitle:${title}`, 1);
+
+        if (items.length === 0) {
             return { title, found: false };
         }
 
-        const book = response.data.items[0];
-        const volumeInfo = book.volumeInfo || {};
-
-        // Extract ISBN numbers
-        const industryIdentifiers = volumeInfo.industryIdentifiers || [];
-        const isbn10 = industryIdentifiers.find(id => id.type === 'ISBN_10')?.identifier;
-        const isbn13 = industryIdentifiers.find(id => id.type === 'ISBN_13')?.identifier;
+        const { title: matchedTitle, ...book } = toBookRecord(items[0]);
 
         return {
             title,
             found: true,
-            id: book.id,
-            authors: volumeInfo.authors || [],
-            publishedDate: volumeInfo.publishedDate,
-            description: volumeInfo.description ?
-                volumeInfo.description.substring(0, 200) + (volumeInfo.description.length > 200 ? '...' : '') :
-                null,
-            pageCount: volumeInfo.pageCount,
-            categories: volumeInfo.categories || [],
-            averageRating: volumeInfo.averageRating,
-            imageLinks: volumeInfo.imageLinks || {},
-            previewLink: volumeInfo.previewLink,
-            isbn10,
-            isbn13
+            ...book
+        };
+    } catch (error) {
+        logger.warn('Google Books search failed', { title, error: error.message });
+        return { title, found: false, lookupFailed: true, error: error.message };
+    }
+}
+
+/**
+ * Score a candidate against what was detected on the shelf
+ * @param {{title: string, author: string}} detected
+ * @param {Object} candidate - Book record
+ * @returns {number} - Confidence from 0 to 1
+ */
+function scoreCandidate(detected, candidate) {
+    const titleScore = fuzzyMatch.titleSimilarity(detected.title, candidate.title);
+    let score = titleScore;
+
+    if (detected.author) {
+        const authorScore = fuzzyMatch.authorSimilarity(detected.author, candidate.authors);
+        score = 0.7 * titleScore + 0.3 * authorScore;
+    }
+
+    // A study guide is only right if that's what was on the shelf
+    if (STUDY_GUIDE_PATTERN.test(candidate.title) && !STUDY_GUIDE_PATTERN.test(detected.title)) {
+        score *= 0.5;
+    }
+
+    return Number(score.toFixed(3));
+}
+
+/**
+ * Find the best Google Books match for a detected book, searching by title and
+ * author and ranking several candidates by fuzzy similarity
+ * @param {{title: string, author: string}} detected - Book as read from the image
+ * @param {Object} [options]
+ * @param {number} [options.candidates] - Number of candidates to fetch
+ * @returns {Promise<Object>} - `{ found, confidence, match, alternatives }`, plus
+ *   `lookupFailed` and `error` if Google Books could not be reached
+ */
+async function findBestMatch(detected, { candidates = DEFAULT_CANDIDATES } = {}) {
+    try {
+        let items = [];
+
+        if (detected.author) {
+            items = await googleBooksClient.searchVolumes(`intitle:${detected.title} inauthor:${detected.author}`, candidates);
+        }
+
+        // The model may misread the author, so fall back to the title alone
+        if (items.length === 0) {
+            items = await googleBooksClient.searchVolumes(`intitle:${detected.title}`, candidates);
+        }
+
+        const ranked = items
+            .map(item => {
+                const record = toBookRecord(item);
+                return { ...record, confidence: scoreCandidate(detected, record) };
+            })
+            .sort((a, b) => b.confidence - a.confidence);
+
+        const [best, ...alternatives] = ranked;
+        const found = Boolean(best) && best.confidence >= MIN_MATCH_CONFIDENCE;
+
+        return {
+            found,
+            confidence: best ? best.confidence : 0,
+            match: found ? best : null,
+            alternatives: found ? alternatives : ranked
         };
     } catch (error) {
-        console.error(`Error searching for book "${title}":`, error.message);
-        return { title, found: false, error: error.message };
+        logger.warn('Google Books match failed', { title: detected.title, error: error.message });
+        return { found: false, confidence: 0, match: null, alternatives: [], lookupFailed: true, error: error.message };
     }
 }
 
 module.exports = {
-    searchBookByTitle
-}; 
\ No newline at end of file
+    searchBookByTitle,
+    findBestMatch,
+    toBookRecord
+};
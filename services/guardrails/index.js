@@ -0,0 +1,144 @@
+const config = require('../../config');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const { GuardrailError } = require('../errors');
+const RulesStage = require('./rulesStage');
+const OpenAIModerationStage = require('./openaiModerationStage');
+
+// A stage checks input with `checkInput({ text, systemPrompt, policy })` and output
+// with `checkOutput({ text, policy })`, resolving to null or what it blocked
+const stageFactories = {
+    rules: () => new RulesStage(config.guardrailRules),
+    'openai-moderation': () => new OpenAIModerationStage({
+        url: config.guardrails.moderationUrl,
+        apiKey: config.guardrails.moderationApiKey || config.providers.openai?.apiKey,
+        model: config.guardrails.moderationModel,
+        timeout: config.guardrails.moderationTimeoutMs
+    })
+};
+
+let stages;
+
+/**
+ * The configured stages, in order (GUARDRAIL_STAGES)
+ * @returns {Array<Object>}
+ */
+function getStages() {
+    if (!stages) {
+        stages = config.guardrails.stages.map(name => stageFactories[name]());
+    }
+
+    return stages;
+}
+
+/**
+ * An app's policy: the default policy with the app's own settings on top
+ * @param {string} [app] - The API key's app
+ * @returns {{allowSystemPrompt: boolean, maxInputChars: number, blockedTopics: Array<string>, moderateOutput: boolean}}
+ */
+function policyFor(app) {
+    const { policies } = config.guardrailRules;
+    return { ...policies.default, ...(policies.apps || {})[app] };
+}
+
+/**
+ * The guardrails for one request, under its app's policy. Input is checked
+ * against the policy (system prompt override, length) and then by each stage;
+ * output, if the policy moderates it, by each stage. Anything blocked throws a
+ * GuardrailError with a stable code and is logged without its content.
+ */
+class Guard {
+    /**
+     * @param {Object} [apiKey] - The request's API key record
+     */
+    constructor(apiKey) {
+        this.app = apiKey?.app;
+        this.policy = policyFor(this.app);
+    }
+
+    block(code, message, { stage, category, direction }) {
+        metrics.guardrailBlocks.inc({ stage, code });
+        logger.warn('Blocked by guardrails', { app: this.app, direction, stage, code, category });
+        throw new GuardrailError(code, message, { stage, category });
+    }
+
+    /**
+     * @param {Object} input
+     * @param {string} [input.text] - The user's message or prompt
+     * @param {string} [input.systemPrompt] - A client-supplied system prompt
+     * @throws {GuardrailError}
+     */
+    async checkInput(input) {
+        const text = String(input.text ?? '');
+        const systemPrompt = String(input.systemPrompt ?? '');
+
+        if (systemPrompt && !this.policy.allowSystemPrompt) {
+            this.block('SYSTEM_PROMPT_NOT_ALLOWED', "This app's policy doesn't allow setting the system prompt", {
+                stage: 'policy',
+                category: 'system-prompt',
+                direction: 'input'
+            });
+        }
+
+        const length = text.length + systemPrompt.length;
+        if (length > this.policy.maxInputChars) {
+            this.block('INPUT_TOO_LONG', `The input is ${length} characters long; this app allows ${this.policy.maxInputChars}`, {
+                stage: 'policy',
+                category: 'length',
+                direction: 'input'
+            });
+        }
+
+        if (length === 0) {
+            return;
+        }
+
+        for (const stage of getStages()) {
+            const blocked = await stage.checkInput({ text, systemPrompt, policy: this.policy });
+
+            if (blocked) {
+                const message = blocked.code === 'PROMPT_INJECTION' ?
+                    "The input looks like an attempt to override the assistant's instructions" :
+                    `The input was blocked by the content policy (${blocked.category})`;
+                this.block(blocked.code, message, { stage: stage.name, category: blocked.category, direction: 'input' });
+            }
+        }
+    }
+
+    /**
+     * @param {string} text - The model's output
+     * @throws {GuardrailError}
+     */
+    async checkOutput(text) {
+        if (!this.policy.moderateOutput || !text) {
+            return;
+        }
+
+        for (const stage of getStages()) {
+            const blocked = await stage.checkOutput({ text, policy: this.policy });
+
+            if (blocked) {
+                this.block('OUTPUT_BLOCKED', `The model's answer was blocked by the content policy (${blocked.category})`, {
+                    stage: stage.name,
+                    category: blocked.category,
+                    direction: 'output'
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Guardrails for a request made with an API key
+ * @param {Object} [apiKey] - `req.apiKey`
+ * @returns {Guard}
+ */
+function guardFor(apiKey) {
+    return new Guard(apiKey);
+}
+
+module.exports = {
+    guardFor,
+    policyFor,
+    getStages
+};
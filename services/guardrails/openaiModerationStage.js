@@ -0,0 +1,75 @@
+const axios = require('axios');
+const metrics = require('../metrics');
+const { upstreamError } = require('../errors');
+
+/**
+ * Guardrail stage backed by the OpenAI moderation endpoint. Text it flags is
+ * blocked whatever the policy's topics; the flagged categories are reported.
+ * If the endpoint fails, the request fails with it rather than going unmoderated.
+ */
+class OpenAIModerationStage {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Moderations URL
+     * @param {string} options.apiKey
+     * @param {string} options.model - e.g. "omni-moderation-latest"
+     * @param {number} options.timeout - In milliseconds
+     */
+    constructor({ url, apiKey, model, timeout }) {
+        this.name = 'openai-moderation';
+        this.url = url;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Promise<{category: string, categories: Array<string>}|null>} - null if not flagged
+     */
+    async moderate(text) {
+        let response;
+
+        try {
+            response = await metrics.timeUpstream(this.name, () => axios.post(this.url, { model: this.model, input: text }, {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: this.timeout
+            }));
+        } catch (error) {
+            throw upstreamError(error, 'The moderation endpoint');
+        }
+
+        const result = response.data.results[0];
+        if (!result.flagged) {
+            return null;
+        }
+
+        const categories = Object.keys(result.categories).filter(category => result.categories[category]);
+        return { category: categories[0] || 'flagged', categories };
+    }
+
+    /**
+     * @param {Object} input
+     * @param {string} input.text
+     * @param {string} [input.systemPrompt]
+     * @returns {Promise<Object|null>}
+     */
+    async checkInput({ text, systemPrompt }) {
+        const flagged = await this.moderate([systemPrompt, text].filter(Boolean).join('\n\n'));
+        return flagged ? { code: 'INPUT_BLOCKED', ...flagged } : null;
+    }
+
+    /**
+     * @param {Object} output
+     * @param {string} output.text
+     * @returns {Promise<Object|null>}
+     */
+    async checkOutput({ text }) {
+        return this.moderate(text);
+    }
+}
+
+module.exports = OpenAIModerationStage;
@@ -0,0 +1,77 @@
+// Zero-width and other invisible characters used to split up blocked words
+const INVISIBLE_CHARACTERS = /[\u00AD\u200B-\u200F\u2060-\u2064\uFEFF]/g;
+
+/**
+ * Text as the patterns see it: compatibility-normalized (so full-width and other
+ * look-alike letters match), without invisible characters, whitespace collapsed
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return text
+        .normalize('NFKC')
+        .replace(INVISIBLE_CHARACTERS, '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Local, rules-based guardrail stage: case-insensitive regular expressions from
+ * config/guardrails.json for prompt injections and for each blocked topic. Needs
+ * no network, so it always runs the same way (and can be tried offline).
+ */
+class RulesStage {
+    /**
+     * @param {Object} rules - config/guardrails.json
+     * @param {Array<string>} [rules.injectionPatterns]
+     * @param {Object} [rules.topics] - Topic name -> `{ description, patterns }`
+     */
+    constructor({ injectionPatterns = [], topics = {} }) {
+        this.name = 'rules';
+        this.injectionPatterns = injectionPatterns.map(pattern => new RegExp(pattern, 'iu'));
+        this.topics = Object.fromEntries(Object.entries(topics).map(([topic, { patterns }]) =>
+            [topic, patterns.map(pattern => new RegExp(pattern, 'iu'))]));
+    }
+
+    /**
+     * The first of the policy's blocked topics the text matches
+     * @returns {string|null}
+     */
+    matchTopic(text, policy) {
+        return policy.blockedTopics.find(topic => (this.topics[topic] || []).some(pattern => pattern.test(text))) || null;
+    }
+
+    /**
+     * Prompt injections in the user's text, then blocked topics in the text and the
+     * system prompt. A system prompt the policy lets the app set is the app's own,
+     * so it isn't checked for injections.
+     * @param {Object} input
+     * @param {string} input.text
+     * @param {string} [input.systemPrompt]
+     * @param {Object} input.policy
+     * @returns {Promise<{code: string, category: string}|null>}
+     */
+    async checkInput({ text, systemPrompt, policy }) {
+        const normalized = normalizeText(text);
+
+        if (this.injectionPatterns.some(pattern => pattern.test(normalized))) {
+            return { code: 'PROMPT_INJECTION', category: 'injection' };
+        }
+
+        const topic = this.matchTopic(normalizeText([systemPrompt, text].filter(Boolean).join('\n')), policy);
+        return topic ? { code: 'INPUT_BLOCKED', category: topic } : null;
+    }
+
+    /**
+     * Blocked topics in the model's output
+     * @param {Object} output
+     * @param {string} output.text
+     * @param {Object} output.policy
+     * @returns {Promise<{category: string}|null>}
+     */
+    async checkOutput({ text, policy }) {
+        const topic = this.matchTopic(normalizeText(text), policy);
+        return topic ? { category: topic } : null;
+    }
+}
+
+module.exports = RulesStage;
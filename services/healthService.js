@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../config');
+const providers = require('./providers');
+const googleBooksClient = require('./googleBooksClient');
+const libraryService = require('./libraryService');
+const jobService = require('./jobService');
+const { listStores } = require('./stores');
+const packageJson = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+
+// Worst first
+const STATUS_ORDER = ['down', 'degraded', 'ok'];
+
+/**
+ * The deployed commit: GIT_COMMIT if set (e.g. by the deploy), otherwise read from .git
+ * @returns {string|null}
+ */
+function readGitCommit() {
+    if (config.health.gitCommit) {
+        return config.health.gitCommit;
+    }
+
+    try {
+        const gitDir = path.join(ROOT, '.git');
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+
+        if (!head.startsWith('ref: ')) {
+            // Detached HEAD
+            return head;
+        }
+
+        const ref = head.slice('ref: '.length);
+        const refFile = path.join(gitDir, ref);
+        if (fs.existsSync(refFile)) {
+            return fs.readFileSync(refFile, 'utf8').trim();
+        }
+
+        const packed = fs.readFileSync(path.join(gitDir, 'packed-refs'), 'utf8')
+            .split('\n')
+            .find(line => line.endsWith(` ${ref}`));
+        return packed ? packed.split(' ')[0] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function worst(statuses) {
+    return STATUS_ORDER.find(status => statuses.includes(status)) || 'ok';
+}
+
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Liveness and readiness checks. Each readiness check reports `ok`, `degraded` or
+ * `down` with details; the overall status is the worst of them. Upstream checks
+ * (model providers, Google Books) only ever make the service `degraded`: every
+ * instance shares them, so taking this one out of rotation wouldn't help.
+ */
+class HealthService {
+    constructor() {
+        this.version = packageJson.version;
+        this.commit = readGitCommit();
+        // Upstream checks are cached so probes don't hit OpenAI and Google Books on every call
+        this.cacheMs = config.health.cacheSeconds * 1000;
+        this.timeoutMs = config.health.checkTimeoutMs;
+        // Queued jobs beyond which the queue is reported as degraded
+        this.queueWarn = config.health.queueWarn;
+
+        // name -> { checkedAt, result } or { pending }
+        this.cache = new Map();
+    }
+
+    /**
+     * The process is up and serving requests
+     * @returns {Object}
+     */
+    liveness() {
+        return {
+            status: 'ok',
+            version: this.version,
+            commit: this.commit,
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString(),
+            environment: config.server.environment
+        };
+    }
+
+    /**
+     * Run every check
+     * @param {Object} [options]
+     * @param {boolean} [options.detailed] - Include each check's details (errors, missing
+     *   settings, store paths, queue stats); otherwise only its status
+     * @returns {Promise<Object>} - Liveness fields, the overall `status` and `checks` by component
+     */
+    async readiness({ detailed = false } = {}) {
+        const { routed, allowed } = providers.providerNames();
+
+        const entries = await Promise.all([
+            ['config', () => this.checkConfig(routed, allowed)],
+            ['sharp', () => this.checkSharp()],
+            // Cached too, since it writes a probe record to every store
+            ['storage', () => this.cached('storage', () => this.checkStorage())],
+            ['queue', () => this.checkQueue()],
+            ...routed.map(name => [name, () => this.cached(name, () => this.checkProvider(name))]),
+            ['google-books', () => this.cached('google-books', () => this.checkGoogleBooks())]
+        ].map(async ([name, check]) => {
+            const start = Date.now();
+            try {
+                return [name, { ...await check(), durationMs: Date.now() - start }];
+            } catch (error) {
+                return [name, { status: 'down', error: error.message, durationMs: Date.now() - start }];
+            }
+        }));
+
+        const checks = Object.fromEntries(entries);
+
+        return {
+            ...this.liveness(),
+            status: worst(Object.values(checks).map(check => check.status)),
+            checks: detailed ? checks : Object.fromEntries(entries.map(([name, { status }]) => [name, { status }]))
+        };
+    }
+
+    /**
+     * Serve a check from the cache while fresh (HEALTH_CACHE_SECONDS); concurrent callers share one run
+     */
+    async cached(name, check) {
+        const entry = this.cache.get(name);
+
+        if (entry && entry.result && Date.now() - entry.checkedAt < this.cacheMs) {
+            return { ...entry.result, cached: true, checkedAt: new Date(entry.checkedAt).toISOString() };
+        }
+        if (entry && entry.pending) {
+            return entry.pending;
+        }
+
+        const pending = withTimeout(check(), this.timeoutMs, name)
+            .catch(error => ({ status: 'degraded', error: error.message }))
+            .then(result => {
+                const checkedAt = Date.now();
+                this.cache.set(name, { checkedAt, result });
+                return { ...result, cached: false, checkedAt: new Date(checkedAt).toISOString() };
+            });
+
+        this.cache.set(name, { ...entry, pending });
+        return pending;
+    }
+
+    /**
+     * Settings for the model providers: missing ones are `down` for providers that
+     * serve routes and `degraded` for providers only on the allowlist
+     */
+    async checkConfig(routed, allowed) {
+        const missing = {};
+        for (const name of [...routed, ...allowed]) {
+            const variables = providers.missingConfig(name);
+            if (variables.length > 0) {
+                missing[name] = variables;
+            }
+        }
+
+        const routedMissing = routed.some(name => missing[name]);
+        const status = routedMissing ? 'down' : Object.keys(missing).length > 0 ? 'degraded' : 'ok';
+
+        return {
+            status,
+            providers: { routed, allowed },
+            ...(status !== 'ok' && { missing })
+        };
+    }
+
+    /**
+     * sharp loads and can encode
+     */
+    async checkSharp() {
+        await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+
+        return {
+            status: 'ok',
+            sharp: sharp.versions.sharp,
+            vips: sharp.versions.vips
+        };
+    }
+
+    /**
+     * Each key/value store can be written and the library database answers
+     */
+    async checkStorage() {
+        const stores = {};
+
+        await Promise.all(listStores().map(async ({ name, type, store }) => {
+            try {
+                await store.check();
+                stores[name] = { status: 'ok', type };
+            } catch (error) {
+                stores[name] = { status: 'down', type, error: error.message };
+            }
+        }));
+
+        try {
+            stores.library = { status: 'ok', type: 'sqlite', ...libraryService.check() };
+        } catch (error) {
+            stores.library = { status: 'down', type: 'sqlite', error: error.message };
+        }
+
+        return {
+            status: worst(Object.values(stores).map(store => store.status)),
+            stores
+        };
+    }
+
+    /**
+     * The job queue resumed after the restart and isn't backed up
+     */
+    async checkQueue() {
+        const stats = jobService.stats();
+        const status = stats.resumeError ? 'degraded' : stats.pending >= this.queueWarn ? 'degraded' : 'ok';
+
+        return { status, ...stats };
+    }
+
+    /**
+     * The provider's endpoint answers and accepts our API key
+     */
+    async checkProvider(name) {
+        const missing = providers.missingConfig(name);
+        if (missing.length > 0) {
+            return { status: 'degraded', error: `Not configured: ${missing.join(', ')}` };
+        }
+
+        const httpStatus = await providers.getProvider(name).ping({ timeout: this.timeoutMs });
+
+        if (httpStatus === 401 || httpStatus === 403) {
+            return { status: 'degraded', httpStatus, error: 'The API key was rejected' };
+        }
+        if (httpStatus >= 500) {
+            return { status: 'degraded', httpStatus, error: `Answered HTTP ${httpStatus}` };
+        }
+        return { status: 'ok', httpStatus };
+    }
+
+    async checkGoogleBooks() {
+        const httpStatus = await googleBooksClient.ping({ timeout: this.timeoutMs });
+
+        if (httpStatus === 429) {
+            return { status: 'degraded', httpStatus, error: 'Rate limited' };
+        }
+        if (httpStatus >= 400) {
+            return { status: 'degraded', httpStatus, error: `Answered HTTP ${httpStatus}` };
+        }
+        return { status: 'ok', httpStatus, apiKey: Boolean(googleBooksClient.apiKey) };
+    }
+}
+
+module.exports = new HealthService();
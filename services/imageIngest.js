@@ -0,0 +1,227 @@
+const sharp = require('sharp');
+const heicDecode = require('heic-decode');
+const config = require('../config');
+const { ImageError } = require('./errors');
+
+// Brands in an ISO BMFF "ftyp" box
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+const IMAGE_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    tiff: 'image/tiff',
+    avif: 'image/avif',
+    heic: 'image/heic'
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length &&
+        bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.toString('latin1', start, end);
+}
+
+/**
+ * Identify an image from its magic bytes rather than its name or declared type
+ * @param {Buffer} buffer
+ * @returns {{format: string, mimeType: string}|null} - null if it isn't a supported image
+ */
+function detectImageType(buffer) {
+    let format = null;
+
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+        format = 'jpeg';
+    } else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        format = 'png';
+    } else if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+        format = 'gif';
+    } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+        format = 'webp';
+    } else if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) {
+        format = 'tiff';
+    } else if (ascii(buffer, 4, 8) === 'ftyp') {
+        // The major brand, then the compatible brands up to the end of the box
+        const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+        const brands = [ascii(buffer, 8, 12)];
+        for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+            brands.push(ascii(buffer, offset, offset + 4));
+        }
+
+        if (brands.some(brand => AVIF_BRANDS.includes(brand))) {
+            format = 'avif';
+        } else if (brands.some(brand => HEIC_BRANDS.includes(brand))) {
+            format = 'heic';
+        }
+    }
+
+    return format && { format, mimeType: IMAGE_TYPES[format] };
+}
+
+/**
+ * Accept a Buffer, base64, or a base64 data URL
+ */
+function toBuffer(image) {
+    if (Buffer.isBuffer(image)) {
+        return image;
+    }
+    if (typeof image !== 'string' || !image) {
+        throw new ImageError('IMAGE_REQUIRED', 'Image data is required');
+    }
+    return Buffer.from(image.replace(/^data:[^;,]*;base64,/, ''), 'base64');
+}
+
+/**
+ * Byte and pixel limits for incoming images, from the options or IMAGE_MAX_BYTES / IMAGE_MAX_PIXELS
+ * @param {Object} [options]
+ * @returns {{maxBytes: number, maxPixels: number}}
+ */
+function imageLimits(options = {}) {
+    return {
+        maxBytes: options.maxBytes || config.images.maxBytes,
+        maxPixels: options.maxPixels || config.images.maxPixels
+    };
+}
+
+function checkPixels(width, height, maxPixels) {
+    if (width * height > maxPixels) {
+        throw new ImageError('IMAGE_TOO_LARGE', `Image is too large: ${width}x${height} is over the ${(maxPixels / 1e6).toFixed(0)} megapixel limit`);
+    }
+}
+
+/**
+ * Decode HEIC with libheif (sharp's prebuilt libvips has no HEVC decoder).
+ * libheif applies the HEIF rotation and mirroring, so the pixels come out upright.
+ */
+async function decodeHeic(buffer, maxPixels) {
+    let images;
+    try {
+        images = await heicDecode.all({ buffer });
+    } catch (error) {
+        throw new ImageError('INVALID_IMAGE', `Unsupported or corrupt HEIC image: ${error.message}`);
+    }
+
+    try {
+        // Check the size before allocating the pixels
+        checkPixels(images[0].width, images[0].height, maxPixels);
+        const { width, height, data } = await images[0].decode();
+        return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+    } finally {
+        images.dispose();
+    }
+}
+
+/**
+ * Validate an image and prepare it for sharp: detect the real type, enforce the
+ * byte and pixel limits, and decode HEIC to raw pixels.
+ * @param {Buffer|string} image - Buffer, base64 or base64 data URL
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Defaults to IMAGE_MAX_BYTES or 25 MB
+ * @param {number} [options.maxPixels] - Defaults to IMAGE_MAX_PIXELS or 64 MP
+ * @returns {Promise<Object>} - `{ input, inputOptions, format, mimeType, width, height, size, orientation }`;
+ * pass `input` and `inputOptions` to sharp
+ */
+async function loadImage(image, options = {}) {
+    const buffer = toBuffer(image);
+    const { maxBytes, maxPixels } = imageLimits(options);
+
+    if (buffer.length === 0) {
+        throw new ImageError('IMAGE_REQUIRED', 'Image data is empty');
+    }
+    if (buffer.length > maxBytes) {
+        throw new ImageError('IMAGE_TOO_LARGE', `Image is too large: ${(buffer.length / 1024 / 1024).toFixed(1)} MB is over the ${(maxBytes / 1024 / 1024).toFixed(1)} MB limit`);
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new ImageError('INVALID_IMAGE', `Unsupported image type. Send ${Object.keys(IMAGE_TYPES).map(format => format.toUpperCase()).join(', ')}.`);
+    }
+
+    if (type.format === 'heic') {
+        const { width, height, data } = await decodeHeic(buffer, maxPixels);
+        return {
+            input: data,
+            inputOptions: { raw: { width, height, channels: 4 } },
+            ...type,
+            width,
+            height,
+            size: buffer.length,
+            orientation: null
+        };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new ImageError('INVALID_IMAGE', `Unsupported or corrupt image: ${error.message}`);
+    }
+    checkPixels(metadata.width, metadata.height, maxPixels);
+
+    return {
+        input: buffer,
+        inputOptions: { limitInputPixels: maxPixels },
+        ...type,
+        width: metadata.width,
+        height: metadata.height,
+        size: buffer.length,
+        orientation: metadata.orientation || null
+    };
+}
+
+/**
+ * Normalize an uploaded image for the vision models: upright (EXIF orientation
+ * applied), at most maxDimension on each side, with EXIF, GPS and other metadata
+ * stripped, as JPEG.
+ * @param {Buffer|string} image - Buffer, base64 or base64 data URL
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=1000]
+ * @param {number} [options.quality=80]
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.maxPixels]
+ * @returns {Promise<Object>} - `{ data, base64, mimeType, width, height, size, original }`
+ */
+async function ingestImage(image, { maxDimension = 1000, quality = 80, ...options } = {}) {
+    const source = await loadImage(image, options);
+
+    let result;
+    try {
+        // sharp drops all metadata (EXIF incl. GPS, XMP, IPTC) unless asked to keep it
+        result = await sharp(source.input, source.inputOptions)
+            .autoOrient()
+            .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality, mozjpeg: true })
+            .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw new ImageError('INVALID_IMAGE', `Could not decode image: ${error.message}`);
+    }
+
+    return {
+        data: result.data,
+        base64: result.data.toString('base64'),
+        mimeType: 'image/jpeg',
+        width: result.info.width,
+        height: result.info.height,
+        size: result.data.length,
+        original: {
+            mimeType: source.mimeType,
+            width: source.width,
+            height: source.height,
+            size: source.size,
+            orientation: source.orientation
+        }
+    };
+}
+
+module.exports = {
+    detectImageType,
+    loadImage,
+    ingestImage,
+    imageLimits,
+    IMAGE_TYPES
+};
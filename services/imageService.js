@@ -0,0 +1,274 @@
+const sharp = require('sharp');
+const imageIngest = require('./imageIngest');
+const { ApiError, ValidationError, ImageError } = require('./errors');
+
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+const LOSSY_FORMATS = ['jpeg', 'webp', 'avif'];
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+const DEFAULT_QUALITY = 80;
+
+// Lowest quality tried when shrinking to a target size, before downscaling
+const MIN_TARGET_QUALITY = 30;
+const MAX_DOWNSCALE_STEPS = 6;
+const DOWNSCALE_FACTOR = 0.8;
+
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+function invalid(message) {
+    return new ValidationError(message);
+}
+
+/**
+ * Read an optional number option (multipart fields arrive as strings)
+ */
+function numberOption(value, name, { min, max, integer = true } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+    if (Number.isNaN(number) || (integer && !Number.isInteger(number)) ||
+        (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        const range = max !== undefined ? ` from ${min} to ${max}` : min !== undefined ? ` of at least ${min}` : '';
+        throw invalid(`${name} must be ${integer ? 'an integer' : 'a number'}${range}`);
+    }
+
+    return number;
+}
+
+function booleanOption(value, fallback) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Validate transform options, as sent in a JSON body or multipart fields
+ * @param {Object} input
+ * @returns {Object} - Normalized options for transformImage
+ */
+function parseTransformOptions(input = {}) {
+    const options = {
+        width: numberOption(input.width, 'width', { min: 1, max: 10000 }),
+        height: numberOption(input.height, 'height', { min: 1, max: 10000 }),
+        fit: input.fit || 'inside',
+        withoutEnlargement: booleanOption(input.withoutEnlargement, true),
+        rotate: numberOption(input.rotate, 'rotate', { min: -360, max: 360 }),
+        flip: booleanOption(input.flip, false),
+        flop: booleanOption(input.flop, false),
+        autoOrient: booleanOption(input.autoOrient, true),
+        stripMetadata: booleanOption(input.stripMetadata, true),
+        format: input.format ? String(input.format).toLowerCase().replace(/^jpg$/, 'jpeg') : undefined,
+        quality: numberOption(input.quality, 'quality', { min: 1, max: 100 }),
+        maxBytes: numberOption(input.maxBytes, 'maxBytes', { min: 1024 }),
+        output: input.output || 'binary'
+    };
+
+    if (!FIT_MODES.includes(options.fit)) {
+        throw invalid(`fit must be one of: ${FIT_MODES.join(', ')}`);
+    }
+    if (options.format && !OUTPUT_FORMATS.includes(options.format)) {
+        throw invalid(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!['binary', 'base64'].includes(options.output)) {
+        throw invalid('output must be "binary" or "base64"');
+    }
+
+    if (input.crop) {
+        // Either { left, top, width, height } or "left,top,width,height"
+        const [left, top, width, height] = typeof input.crop === 'string' ?
+            input.crop.split(',').map(part => part.trim()) :
+            [input.crop.left, input.crop.top, input.crop.width, input.crop.height];
+
+        options.crop = {
+            left: numberOption(left, 'crop left', { min: 0 }),
+            top: numberOption(top, 'crop top', { min: 0 }),
+            width: numberOption(width, 'crop width', { min: 1 }),
+            height: numberOption(height, 'crop height', { min: 1 })
+        };
+
+        if (Object.values(options.crop).some(value => value === undefined)) {
+            throw invalid('crop needs left, top, width and height');
+        }
+    }
+
+    return options;
+}
+
+function encode(pipeline, format, quality) {
+    switch (format) {
+        case 'jpeg':
+            return pipeline.jpeg({ quality, mozjpeg: true });
+        case 'png':
+            return pipeline.png({ compressionLevel: 9 });
+        case 'webp':
+            return pipeline.webp({ quality });
+        case 'avif':
+            return pipeline.avif({ quality });
+        default:
+            throw invalid(`Cannot encode ${format}`);
+    }
+}
+
+/**
+ * Build the geometry part of the pipeline: orient, crop, rotate, flip, resize
+ */
+function buildPipeline(source, options, scale = 1) {
+    let pipeline = sharp(source.input, source.inputOptions);
+
+    if (options.autoOrient) {
+        // Apply the EXIF orientation so phone photos come out upright
+        pipeline = pipeline.autoOrient();
+    }
+
+    if (options.crop) {
+        pipeline = pipeline.extract(options.crop);
+    }
+
+    if (options.rotate) {
+        pipeline = pipeline.rotate(options.rotate, { background: { r: 255, g: 255, b: 255, alpha: 0 } });
+    }
+    if (options.flip) {
+        pipeline = pipeline.flip();
+    }
+    if (options.flop) {
+        pipeline = pipeline.flop();
+    }
+
+    const width = options.width && Math.max(1, Math.round(options.width * scale));
+    const height = options.height && Math.max(1, Math.round(options.height * scale));
+
+    if (width || height) {
+        pipeline = pipeline.resize(width, height, {
+            fit: options.fit,
+            withoutEnlargement: options.withoutEnlargement
+        });
+    }
+
+    if (!options.stripMetadata) {
+        pipeline = pipeline.keepMetadata();
+    }
+
+    return pipeline;
+}
+
+async function render(source, options, format, quality, scale) {
+    try {
+        const { data, info } = await encode(buildPipeline(source, options, scale), format, quality)
+            .toBuffer({ resolveWithObject: true });
+        return { data, info };
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        // Mostly a crop outside the image
+        throw new ImageError('IMAGE_TRANSFORM_FAILED', `Could not transform image: ${error.message}`);
+    }
+}
+
+/**
+ * Encode as close to maxBytes as possible: lower the quality first, then the size
+ */
+async function renderWithinBytes(source, options, format) {
+    const startQuality = options.quality || DEFAULT_QUALITY;
+    let scale = 1;
+
+    // Without a resize, downscaling starts from the (oriented, cropped) image size
+    const scaledOptions = options.width || options.height ? options : {
+        ...options,
+        width: options.crop ? options.crop.width :
+            // EXIF orientations 5-8 are rotated a quarter turn
+            options.autoOrient && source.orientation >= 5 ? source.height : source.width,
+        fit: 'inside'
+    };
+
+    // Returned if nothing fits
+    let smallest = null;
+
+    for (let step = 0; step <= MAX_DOWNSCALE_STEPS; step++) {
+        let fitting = null;
+        let low = MIN_TARGET_QUALITY;
+        let high = startQuality;
+
+        // Binary search for the highest quality that fits
+        while (low <= high) {
+            const quality = Math.floor((low + high) / 2);
+            const result = { ...await render(source, scaledOptions, format, quality, scale), quality };
+
+            if (result.data.length <= options.maxBytes) {
+                fitting = result;
+                low = quality + 1;
+            } else {
+                high = quality - 1;
+            }
+
+            if (!smallest || result.data.length < smallest.data.length) {
+                smallest = result;
+            }
+        }
+
+        if (fitting) {
+            return { ...fitting, targetMet: true };
+        }
+
+        scale *= DOWNSCALE_FACTOR;
+    }
+
+    return { ...smallest, targetMet: false };
+}
+
+/**
+ * Transform an image: auto-orient, crop, rotate, flip, resize, strip metadata
+ * and convert, at a given quality or shrunk to fit a byte budget.
+ * @param {Buffer} buffer - Input image (JPEG, PNG, WebP, AVIF, GIF, TIFF or HEIC)
+ * @param {Object} options - From parseTransformOptions
+ * @returns {Promise<Object>} - `{ data, format, mimeType, width, height, size, quality, targetMet?, original }`
+ */
+async function transformImage(buffer, options) {
+    const source = await imageIngest.loadImage(buffer);
+
+    // Keep the input format when it can be written, otherwise fall back to JPEG
+    const format = options.format || (OUTPUT_FORMATS.includes(source.format) ? source.format : 'jpeg');
+
+    let result;
+    if (options.maxBytes) {
+        if (!LOSSY_FORMATS.includes(format)) {
+            throw invalid(`maxBytes needs a lossy output format (${LOSSY_FORMATS.join(', ')})`);
+        }
+        result = await renderWithinBytes(source, options, format);
+    } else {
+        const quality = options.quality || DEFAULT_QUALITY;
+        result = { ...await render(source, options, format, quality, 1), quality };
+    }
+
+    return {
+        data: result.data,
+        format,
+        mimeType: MIME_TYPES[format],
+        width: result.info.width,
+        height: result.info.height,
+        size: result.data.length,
+        quality: LOSSY_FORMATS.includes(format) ? result.quality : null,
+        ...(result.targetMet !== undefined && { targetMet: result.targetMet }),
+        original: {
+            format: source.format,
+            width: source.width,
+            height: source.height,
+            size: source.size,
+            orientation: source.orientation
+        }
+    };
+}
+
+module.exports = {
+    transformImage,
+    parseTransformOptions,
+    OUTPUT_FORMATS
+};
@@ -0,0 +1,95 @@
+/**
+ * ISBN-10 / ISBN-13 validation and conversion
+ */
+
+/**
+ * Strip hyphens, spaces and an "ISBN" prefix, as printed on covers and barcodes
+ * @param {string} input
+ * @returns {string}
+ */
+function clean(input) {
+    return String(input)
+        .toUpperCase()
+        .replace(/^ISBN(-1[03])?:?/, '')
+        .replace(/[\s-]/g, '');
+}
+
+function isbn10CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += Number(digits[i]) * (10 - i);
+    }
+
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+
+    return String((10 - (sum % 10)) % 10);
+}
+
+function isValidIsbn10(isbn) {
+    return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+}
+
+function isValidIsbn13(isbn) {
+    return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+}
+
+/**
+ * @param {string} isbn10 - Valid ISBN-10
+ * @returns {string} - ISBN-13 with the 978 prefix
+ */
+function isbn10To13(isbn10) {
+    const body = '978' + isbn10.slice(0, 9);
+    return body + isbn13CheckDigit(body);
+}
+
+/**
+ * @param {string} isbn13 - Valid ISBN-13
+ * @returns {string|null} - ISBN-10, or null for 979-prefixed ISBNs, which have none
+ */
+function isbn13To10(isbn13) {
+    if (!isbn13.startsWith('978')) {
+        return null;
+    }
+
+    const body = isbn13.slice(3, 12);
+    return body + isbn10CheckDigit(body);
+}
+
+/**
+ * Validate an ISBN in either format and return both forms
+ * @param {string} input - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {{isbn10: (string|null), isbn13: string}|null} - null if the input is not a valid ISBN
+ */
+function normalizeIsbn(input) {
+    if (input === undefined || input === null) {
+        return null;
+    }
+
+    const isbn = clean(input);
+
+    if (isValidIsbn13(isbn)) {
+        return { isbn10: isbn13To10(isbn), isbn13: isbn };
+    }
+
+    if (isValidIsbn10(isbn)) {
+        return { isbn10: isbn, isbn13: isbn10To13(isbn) };
+    }
+
+    return null;
+}
+
+module.exports = {
+    normalizeIsbn,
+    isValidIsbn10,
+    isValidIsbn13,
+    isbn10To13,
+    isbn13To10
+};
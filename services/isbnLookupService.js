@@ -0,0 +1,138 @@
+const { normalizeIsbn } = require('./isbn');
+const { getBookProviders } = require('./bookProviders');
+const logger = require('./logger');
+const { ValidationError } = require('./errors');
+
+// Upper bound for POST /books/isbn
+const MAX_BATCH_SIZE = 20;
+
+const RECORD_FIELDS = [
+    'title',
+    'authors',
+    'publisher',
+    'publishedDate',
+    'description',
+    'pageCount',
+    'categories',
+    'imageLinks',
+    'previewLink'
+];
+
+function isEmpty(value) {
+    if (value === undefined || value === null || value === '') {
+        return true;
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).length === 0;
+    }
+    return false;
+}
+
+function missingFields(book) {
+    return RECORD_FIELDS.filter(field => isEmpty(book[field]));
+}
+
+/**
+ * Look up a book by ISBN, querying the providers in order and merging their
+ * records: the first provider that knows the book wins, later ones only fill
+ * in fields it left empty.
+ * @param {string} input - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {Promise<Object>} - `{ isbn, found, lookupFailed, book, sources, errors? }`;
+ *   `lookupFailed` means no provider could be asked, so "not found" is not final
+ */
+async function lookupIsbn(input) {
+    const isbn = normalizeIsbn(input);
+
+    if (!isbn) {
+        throw new ValidationError(`"${input}" is not a valid ISBN-10 or ISBN-13`, { code: 'INVALID_ISBN' });
+    }
+
+    let book = null;
+    const sources = [];
+    const errors = [];
+    const providers = getBookProviders();
+
+    for (const provider of providers) {
+        if (book && missingFields(book).length === 0) {
+            break;
+        }
+
+        let record;
+        try {
+            record = await provider.lookupIsbn(isbn);
+        } catch (error) {
+            logger.warn('ISBN lookup failed', { isbn: isbn.isbn13, provider: provider.name, error: error.message });
+            errors.push({ provider: provider.name, error: error.message });
+            continue;
+        }
+
+        if (!record) {
+            continue;
+        }
+
+        sources.push(provider.name);
+
+        if (!book) {
+            book = { ...record, ids: { ...record.ids } };
+            continue;
+        }
+
+        for (const field of missingFields(book)) {
+            if (!isEmpty(record[field])) {
+                book[field] = record[field];
+            }
+        }
+        Object.assign(book.ids, record.ids);
+    }
+
+    if (book) {
+        // The requested ISBN is authoritative; providers may return another edition's
+        book.isbn10 = isbn.isbn10;
+        book.isbn13 = isbn.isbn13;
+    }
+
+    return {
+        isbn,
+        found: Boolean(book),
+        lookupFailed: !book && errors.length === providers.length,
+        book,
+        sources,
+        ...(errors.length > 0 && { errors })
+    };
+}
+
+/**
+ * Look up several ISBNs. Invalid ISBNs are reported per entry instead of
+ * failing the whole batch.
+ * @param {Array<string>} inputs
+ * @returns {Promise<Array<Object>>} - One `lookupIsbn` result (with `query`) per input
+ */
+async function lookupIsbns(inputs) {
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+        throw new ValidationError('isbns must be a non-empty array');
+    }
+
+    if (inputs.length > MAX_BATCH_SIZE) {
+        throw new ValidationError(`At most ${MAX_BATCH_SIZE} ISBNs can be looked up at once`);
+    }
+
+    return Promise.all(inputs.map(async query => {
+        try {
+            return { query, ...await lookupIsbn(query) };
+        } catch (error) {
+            if (error.code === 'INVALID_ISBN') {
+                return { query, found: false, error: error.message, code: error.code };
+            }
+            throw error;
+        }
+    }));
+}
+
+module.exports = {
+    lookupIsbn,
+    lookupIsbns,
+    MAX_BATCH_SIZE
+};
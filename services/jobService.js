@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const openaiService = require('./openaiService');
+const googleBooksService = require('./googleBooksService');
+const usageService = require('./usageService');
+const guardrails = require('./guardrails');
+const { checkCallbackUrl, callbackAgents } = require('./callbackUrl');
+const logger = require('./logger');
+const { createStore } = require('./stores');
+const { ApiError, ValidationError, NotFoundError, ImageError, toApiError } = require('./errors');
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+const WEBHOOK_ATTEMPTS = 3;
+
+// How often finished jobs past their retention are deleted
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Work performed for each job type. Each handler takes the job input and
+ * OpenAIService options (including the `guard` for the job's app), and resolves
+ * to the same body the synchronous route returns.
+ */
+const jobHandlers = {
+    'scan-books': async ({ image }, options) => ({
+        books: await openaiService.scanBooks(image, options)
+    }),
+    'extract-book-titles': async ({ image }, options) => {
+        const titles = await openaiService.extractBookTitles(image, options);
+        const books = await Promise.all(titles.map(title => googleBooksService.searchBookByTitle(title)));
+        return { books };
+    },
+    'analyze-image': async ({ image, prompt }, options) => ({
+        analysis: await openaiService.analyzeImage(image, prompt, options)
+    })
+};
+
+/**
+ * Failures worth retrying: timeouts, network errors, rate limits and upstream 5xx.
+ * Bad input, missing books or invalid model output will fail the same way again.
+ */
+function isRetryable(error) {
+    const status = error.status || error.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Strip the (large) input image before returning or delivering a job
+ */
+function toPublicJob({ input, ...job }) {
+    return { ...job, input: input ? { ...input, image: undefined } : undefined };
+}
+
+/**
+ * Queue for long-running vision tasks. Jobs are persisted, so queued or
+ * interrupted jobs resume after a restart; they run with bounded concurrency,
+ * retry transient failures with backoff, and can notify a webhook when done.
+ * Finished jobs are kept for JOB_RETENTION_HOURS, then deleted.
+ */
+class JobService {
+    constructor() {
+        this.store = createStore(config.storage.jobs, 'jobs');
+        this.concurrency = config.jobs.concurrency;
+        this.maxAttempts = config.jobs.maxAttempts;
+        this.webhookSecret = config.jobs.webhookSecret;
+        this.retentionMs = config.jobs.retentionHours * 60 * 60 * 1000;
+
+        this.pending = [];
+        this.running = 0;
+        this.resumeError = null;
+        this.ready = this.resume().catch(error => {
+            this.resumeError = error;
+            logger.error('Job resume failed', { error });
+        });
+
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => logger.error('Job pruning failed', { error }));
+        }, PRUNE_INTERVAL_MS);
+        this.pruneTimer.unref();
+    }
+
+    get types() {
+        return Object.keys(jobHandlers);
+    }
+
+    /**
+     * Queue state for the readiness check
+     * @returns {{running: number, pending: number, concurrency: number, resumeError: (string|null)}}
+     */
+    stats() {
+        return {
+            running: this.running,
+            pending: this.pending.length,
+            concurrency: this.concurrency,
+            resumeError: this.resumeError ? this.resumeError.message : null
+        };
+    }
+
+    /**
+     * Requeue jobs that were queued or running when the process stopped, after
+     * deleting finished ones past their retention
+     */
+    async resume() {
+        const jobs = await this.prune();
+        const unfinished = jobs
+            .filter(job => !TERMINAL_STATUSES.includes(job.status))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of unfinished) {
+            this.enqueue(job.id);
+        }
+    }
+
+    /**
+     * Delete finished jobs that completed more than JOB_RETENTION_HOURS ago
+     * @returns {Promise<Array<Object>>} - The jobs kept
+     */
+    async prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        const jobs = await this.store.values();
+        const expired = jobs.filter(job =>
+            TERMINAL_STATUSES.includes(job.status) && new Date(job.completedAt || job.updatedAt).getTime() < cutoff);
+
+        for (const job of expired) {
+            await this.store.delete(job.id);
+        }
+
+        if (expired.length > 0) {
+            logger.info('Deleted expired jobs', { count: expired.length });
+        }
+
+        return jobs.filter(job => !expired.includes(job));
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.type - One of the job handler types
+     * @param {Object} options.input - Handler input (image, prompt)
+     * @param {string} [options.callbackUrl] - Webhook URL notified on completion; must be a public host
+     *   or one of JOB_CALLBACK_HOSTS
+     * @param {string} [options.model] - Client-requested model
+     * @param {Object} [options.apiKey] - Key record of the caller
+     * @returns {Promise<Object>} - The queued job
+     */
+    async createJob({ type, input, callbackUrl, model, apiKey }) {
+        if (!jobHandlers[type]) {
+            throw new ValidationError(`Job type must be one of: ${this.types.join(', ')}`);
+        }
+
+        if (!input.image) {
+            throw new ImageError('IMAGE_REQUIRED', "Image data is required. Either upload a file or provide base64 image data.");
+        }
+
+        if (type === 'analyze-image' && (!input.prompt || typeof input.prompt !== 'string')) {
+            throw new ValidationError('Prompt is required for analyze-image jobs');
+        }
+
+        if (callbackUrl) {
+            await checkCallbackUrl(callbackUrl);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            input,
+            model: model || null,
+            callbackUrl: callbackUrl || null,
+            keyId: apiKey?.id || null,
+            app: apiKey?.app || null,
+            attempts: 0,
+            result: null,
+            error: null,
+            webhook: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null
+        };
+
+        await this.store.set(job.id, job);
+        this.enqueue(job.id);
+
+        return toPublicJob(job);
+    }
+
+    /**
+     * @param {string} id - Job ID
+     * @param {Object} [apiKey] - Caller's key record; only the owner (or an admin) can see a job
+     */
+    async getJob(id, apiKey) {
+        const job = await this.store.get(id);
+        const isOwner = job && (job.keyId === apiKey?.id || apiKey?.scopes?.includes('*'));
+
+        if (!job || !isOwner) {
+            throw new NotFoundError("Job not found", 'JOB_NOT_FOUND');
+        }
+
+        return toPublicJob(job);
+    }
+
+    async updateJob(id, changes) {
+        const job = await this.store.get(id);
+        const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+        await this.store.set(id, updated);
+        return updated;
+    }
+
+    enqueue(id) {
+        this.pending.push(id);
+        this.drain();
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const id = this.pending.shift();
+            this.running++;
+
+            logger.withContext({ jobId: id }, () => this.run(id))
+                .catch(error => logger.error('Job failed', { jobId: id, error }))
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    async run(id) {
+        let job = await this.store.get(id);
+
+        // Stopped during its last attempt, so there is none left to resume it with
+        if (job.attempts >= this.maxAttempts && !TERMINAL_STATUSES.includes(job.status)) {
+            const { status, code, message } = new ApiError('JOB_INTERRUPTED', "The server stopped during the job's last attempt");
+            job = await this.updateJob(id, {
+                status: 'failed',
+                error: { status, code, message },
+                input: { ...job.input, image: undefined },
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        while (job.attempts < this.maxAttempts) {
+            job = await this.updateJob(id, {
+                status: 'running',
+                attempts: job.attempts + 1,
+                startedAt: job.startedAt || new Date().toISOString()
+            });
+
+            const meter = usageService.createMeter();
+            const guard = guardrails.guardFor({ app: job.app });
+
+            try {
+                const result = await jobHandlers[job.type](job.input, { model: job.model || undefined, meter, guard });
+
+                if (meter.hasUsage()) {
+                    result.usage = meter.summary();
+                }
+
+                job = await this.updateJob(id, {
+                    status: 'succeeded',
+                    result,
+                    error: null,
+                    input: { ...job.input, image: undefined },
+                    completedAt: new Date().toISOString()
+                });
+                break;
+            } catch (error) {
+                const { status, code, message, details } = toApiError(error);
+                const jobError = { status, code, message, details };
+
+                if (!isRetryable(error) || job.attempts >= this.maxAttempts) {
+                    job = await this.updateJob(id, {
+                        status: 'failed',
+                        error: jobError,
+                        input: { ...job.input, image: undefined },
+                        completedAt: new Date().toISOString()
+                    });
+                    break;
+                }
+
+                job = await this.updateJob(id, { status: 'queued', error: jobError });
+
+                // Exponential backoff before the next attempt: 2s, 4s, 8s...
+                await delay(1000 * 2 ** job.attempts);
+            } finally {
+                if (meter.hasUsage()) {
+                    usageService.record({ endpoint: `/api3/jobs:${job.type}`, keyId: job.keyId, app: job.app, meter })
+                        .catch(error => logger.error('Usage recording failed', { error }));
+                }
+            }
+        }
+
+        if (job.callbackUrl) {
+            await this.deliverWebhook(job);
+        }
+    }
+
+    /**
+     * POST the finished job to its callback URL, signed with JOB_WEBHOOK_SECRET
+     * (if set) in `X-Job-Signature: sha256=<hex HMAC of the body>`. The URL is
+     * checked again, and redirects aren't followed, so it can't be pointed at a
+     * private address after the job was created.
+     */
+    async deliverWebhook(job) {
+        try {
+            await checkCallbackUrl(job.callbackUrl);
+        } catch (error) {
+            logger.warn('Webhook not sent', { jobId: job.id, callbackUrl: job.callbackUrl, reason: error.message });
+            await this.updateJob(job.id, { webhook: { status: 'failed', attempts: 0, lastError: error.message } });
+            return;
+        }
+
+        const body = JSON.stringify(toPublicJob(job));
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.webhookSecret) {
+            const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+            headers['X-Job-Signature'] = `sha256=${signature}`;
+        }
+
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+            try {
+                await axios.post(job.callbackUrl, body, { headers, timeout: 10000, maxRedirects: 0, ...callbackAgents });
+                await this.updateJob(job.id, { webhook: { status: 'delivered', attempts: attempt, lastError: null } });
+                return;
+            } catch (error) {
+                lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+                if (attempt < WEBHOOK_ATTEMPTS) {
+                    await delay(1000 * 2 ** attempt);
+                }
+            }
+        }
+
+        logger.warn('Webhook delivery failed', { jobId: job.id, callbackUrl: job.callbackUrl, lastError });
+        await this.updateJob(job.id, { webhook: { status: 'failed', attempts: WEBHOOK_ATTEMPTS, lastError } });
+    }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,629 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const { normalizeIsbn } = require('./isbn');
+const { toBookMetadata, normalizeTags, normalizeDate, READING_STATUSES } = require('./bookMetadata');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_ORDERS = {
+    added: 'b.created_at DESC',
+    updated: 'b.updated_at DESC',
+    title: 'b.title COLLATE NOCASE ASC',
+    rating: 'b.rating IS NULL, b.rating DESC, b.title COLLATE NOCASE ASC'
+};
+
+// Book metadata columns, filled in (never overwritten) when a duplicate is added
+const METADATA_COLUMNS = {
+    title: 'title',
+    authors: 'authors',
+    isbn10: 'isbn10',
+    isbn13: 'isbn13',
+    googleBooksId: 'google_books_id',
+    publisher: 'publisher',
+    publishedDate: 'published_date',
+    description: 'description',
+    pageCount: 'page_count',
+    categories: 'categories',
+    thumbnail: 'thumbnail'
+};
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version
+ */
+const MIGRATIONS = [
+    `
+    CREATE TABLE books (
+        id TEXT PRIMARY KEY,
+        app TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        authors TEXT NOT NULL DEFAULT '[]',
+        isbn10 TEXT,
+        isbn13 TEXT,
+        google_books_id TEXT,
+        publisher TEXT,
+        published_date TEXT,
+        description TEXT,
+        page_count INTEGER,
+        categories TEXT NOT NULL DEFAULT '[]',
+        thumbnail TEXT,
+        status TEXT NOT NULL DEFAULT 'want_to_read',
+        rating INTEGER CHECK (rating BETWEEN 1 AND 5),
+        notes TEXT,
+        source TEXT,
+        started_at TEXT,
+        finished_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX books_owner ON books (app, user_id, created_at);
+    CREATE UNIQUE INDEX books_owner_isbn13 ON books (app, user_id, isbn13) WHERE isbn13 IS NOT NULL;
+    CREATE UNIQUE INDEX books_owner_google_id ON books (app, user_id, google_books_id) WHERE google_books_id IS NOT NULL;
+
+    CREATE TABLE book_tags (
+        book_id TEXT NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (book_id, tag)
+    );
+    CREATE INDEX book_tags_tag ON book_tags (tag);
+
+    CREATE TABLE shelves (
+        id TEXT PRIMARY KEY,
+        app TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (app, user_id, name)
+    );
+
+    CREATE TABLE shelf_books (
+        shelf_id TEXT NOT NULL REFERENCES shelves (id) ON DELETE CASCADE,
+        book_id TEXT NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+        added_at TEXT NOT NULL,
+        PRIMARY KEY (shelf_id, book_id)
+    );
+    CREATE INDEX shelf_books_book ON shelf_books (book_id);
+    `
+];
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Check the user-editable fields of a book
+ * @param {Object} fields - status, rating, notes, tags, startedAt and finishedAt, each optional
+ * @returns {Object} - The fields that were provided, normalized
+ */
+function validateUserFields({ status, rating, notes, tags, startedAt, finishedAt }) {
+    const fields = {};
+
+    if (status !== undefined) {
+        if (!READING_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of: ${READING_STATUSES.join(', ')}`);
+        }
+        fields.status = status;
+    }
+
+    if (rating !== undefined) {
+        if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+            throw new ValidationError('rating must be an integer from 1 to 5, or null');
+        }
+        fields.rating = rating;
+    }
+
+    if (notes !== undefined) {
+        if (notes !== null && typeof notes !== 'string') {
+            throw new ValidationError('notes must be a string');
+        }
+        fields.notes = notes;
+    }
+
+    const normalizedTags = normalizeTags(tags);
+    if (normalizedTags !== undefined) {
+        fields.tags = normalizedTags;
+    }
+
+    if (startedAt !== undefined) {
+        fields.startedAt = normalizeDate(startedAt, 'startedAt');
+    }
+    if (finishedAt !== undefined) {
+        fields.finishedAt = normalizeDate(finishedAt, 'finishedAt');
+    }
+
+    return fields;
+}
+
+function toRow(metadata) {
+    const row = {};
+
+    for (const [key, column] of Object.entries(METADATA_COLUMNS)) {
+        const value = metadata[key];
+        row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+
+    return row;
+}
+
+function clampInt(value, fallback, min, max) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : Math.min(Math.max(parsed, min), max);
+}
+
+/**
+ * Users' book libraries: books (with reading status, rating, notes and tags)
+ * and named shelves, stored in SQLite. Every record belongs to an owner, the
+ * API key's app plus the app's user ID, so apps never see each other's users.
+ * Books are de-duplicated per owner by ISBN-13 and Google Books volume ID.
+ */
+class LibraryService {
+    constructor() {
+        const file = config.storage.libraryDb || path.join(config.storage.dataDir, 'library.sqlite');
+
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.migrate();
+    }
+
+    /**
+     * Check the database answers a query
+     * @returns {{file: string, schemaVersion: number}}
+     */
+    check() {
+        this.db.prepare('SELECT 1').get();
+        return { file: this.db.name, schemaVersion: this.db.pragma('user_version', { simple: true }) };
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[i]);
+                this.db.pragma(`user_version = ${i + 1}`);
+            })();
+        }
+    }
+
+    toBook(row) {
+        const tags = this.db.prepare('SELECT tag FROM book_tags WHERE book_id = ? ORDER BY tag')
+            .pluck().all(row.id);
+        const shelves = this.db.prepare('SELECT shelf_id FROM shelf_books WHERE book_id = ? ORDER BY added_at')
+            .pluck().all(row.id);
+
+        return {
+            id: row.id,
+            title: row.title,
+            authors: JSON.parse(row.authors),
+            isbn10: row.isbn10,
+            isbn13: row.isbn13,
+            googleBooksId: row.google_books_id,
+            publisher: row.publisher,
+            publishedDate: row.published_date,
+            description: row.description,
+            pageCount: row.page_count,
+            categories: JSON.parse(row.categories),
+            thumbnail: row.thumbnail,
+            status: row.status,
+            rating: row.rating,
+            notes: row.notes,
+            tags,
+            shelves,
+            source: row.source,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    getBookRow(owner, id) {
+        const row = this.db.prepare('SELECT * FROM books WHERE id = ? AND app = ? AND user_id = ?')
+            .get(id, owner.app, owner.userId);
+
+        if (!row) {
+            throw new NotFoundError('Book not found', 'BOOK_NOT_FOUND');
+        }
+
+        return row;
+    }
+
+    getShelfRow(owner, id) {
+        const row = this.db.prepare('SELECT * FROM shelves WHERE id = ? AND app = ? AND user_id = ?')
+            .get(id, owner.app, owner.userId);
+
+        if (!row) {
+            throw new NotFoundError('Shelf not found', 'SHELF_NOT_FOUND');
+        }
+
+        return row;
+    }
+
+    findDuplicate(owner, metadata) {
+        return this.db.prepare(`
+            SELECT * FROM books
+            WHERE app = ? AND user_id = ? AND (isbn13 = ? OR google_books_id = ?)
+            LIMIT 1
+        `).get(owner.app, owner.userId, metadata.isbn13, metadata.googleBooksId);
+    }
+
+    /**
+     * Whether another of the owner's books already has this ISBN-13 or Google Books ID
+     */
+    identifierTaken(owner, column, value, exceptId) {
+        if (column !== 'isbn13' && column !== 'google_books_id') {
+            return false;
+        }
+
+        return Boolean(this.db.prepare(`SELECT 1 FROM books WHERE app = ? AND user_id = ? AND ${column} = ? AND id != ?`)
+            .get(owner.app, owner.userId, value, exceptId));
+    }
+
+    /**
+     * Apply status/rating/notes changes, keeping startedAt/finishedAt in step with
+     * the status unless they are given
+     */
+    updateUserFields(row, fields, now) {
+        const updates = {};
+
+        if (fields.status !== undefined && fields.status !== row.status) {
+            updates.status = fields.status;
+            if (fields.status === 'reading' && !row.started_at) {
+                updates.started_at = now;
+            }
+            if (fields.status === 'read') {
+                updates.finished_at = fields.finishedAt || now;
+                updates.started_at = row.started_at || fields.startedAt || updates.finished_at;
+            }
+        }
+        if (fields.startedAt !== undefined) {
+            updates.started_at = fields.startedAt;
+        }
+        if (fields.finishedAt !== undefined) {
+            updates.finished_at = fields.finishedAt;
+        }
+        if (fields.rating !== undefined) {
+            updates.rating = fields.rating;
+        }
+        if (fields.notes !== undefined) {
+            updates.notes = fields.notes;
+        }
+
+        return updates;
+    }
+
+    writeRow(id, updates) {
+        const columns = Object.keys(updates);
+
+        if (columns.length > 0) {
+            const assignments = columns.map(column => `${column} = @${column}`).join(', ');
+            this.db.prepare(`UPDATE books SET ${assignments} WHERE id = @id`).run({ ...updates, id });
+        }
+    }
+
+    setTags(bookId, tags) {
+        this.db.prepare('DELETE FROM book_tags WHERE book_id = ?').run(bookId);
+        this.addTags(bookId, tags);
+    }
+
+    addTags(bookId, tags) {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO book_tags (book_id, tag) VALUES (?, ?)');
+        for (const tag of tags) {
+            insert.run(bookId, tag);
+        }
+    }
+
+    shelveBook(shelfId, bookId, now) {
+        this.db.prepare('INSERT OR IGNORE INTO shelf_books (shelf_id, book_id, added_at) VALUES (?, ?, ?)')
+            .run(shelfId, bookId, now);
+    }
+
+    /**
+     * Add books, e.g. straight from a scan result. A book already in the library
+     * (same ISBN-13 or Google Books ID) is not duplicated: its missing metadata
+     * is filled in, tags are merged and any status/rating given is applied.
+     * @param {{app: string, userId: string}} owner
+     * @param {Array<Object>} books - Scan results, optionally with status, rating, notes and tags
+     * @param {Object} [defaults] - Applied to every book that doesn't set its own
+     * @param {string} [defaults.shelfId] - Shelf to put the books on
+     * @param {string} [defaults.status]
+     * @param {Array<string>} [defaults.tags]
+     * @param {string} [defaults.source] - Where the books came from, e.g. "scan-books"
+     * @returns {Promise<Array<Object>>} - The library books, each with `created`
+     */
+    async addBooks(owner, books, { shelfId, status, tags, source = null } = {}) {
+        if (!Array.isArray(books) || books.length === 0) {
+            throw new ValidationError('books must be a non-empty array');
+        }
+
+        if (shelfId) {
+            this.getShelfRow(owner, shelfId);
+        }
+
+        const defaults = validateUserFields({ status, tags });
+        const prepared = books.map(book => ({
+            metadata: toBookMetadata(book),
+            fields: { ...defaults, ...validateUserFields(book) }
+        }));
+
+        const results = this.db.transaction(() => prepared.map(({ metadata, fields }) => {
+            const now = new Date().toISOString();
+            const existing = this.findDuplicate(owner, metadata);
+            let id;
+
+            if (existing) {
+                id = existing.id;
+
+                const filled = {};
+                for (const [key, column] of Object.entries(METADATA_COLUMNS)) {
+                    const current = Array.isArray(metadata[key]) ? JSON.parse(existing[column]) : existing[column];
+                    if (isBlank(current) && !isBlank(metadata[key]) && !this.identifierTaken(owner, column, metadata[key], id)) {
+                        filled[column] = toRow(metadata)[column];
+                    }
+                }
+
+                this.writeRow(id, {
+                    ...filled,
+                    ...this.updateUserFields(existing, fields, now),
+                    updated_at: now
+                });
+                this.addTags(id, fields.tags || []);
+            } else {
+                id = crypto.randomUUID();
+
+                const row = {
+                    id,
+                    app: owner.app,
+                    user_id: owner.userId,
+                    ...toRow(metadata),
+                    status: 'want_to_read',
+                    rating: null,
+                    notes: null,
+                    source,
+                    started_at: null,
+                    finished_at: null,
+                    created_at: now,
+                    updated_at: now
+                };
+                Object.assign(row, this.updateUserFields(row, fields, now));
+
+                const columns = Object.keys(row);
+                this.db.prepare(`INSERT INTO books (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+                    .run(row);
+                this.addTags(id, fields.tags || []);
+            }
+
+            if (shelfId) {
+                this.shelveBook(shelfId, id, now);
+            }
+
+            return { id, created: !existing };
+        }))();
+
+        return results.map(({ id, created }) => ({
+            ...this.toBook(this.getBookRow(owner, id)),
+            created
+        }));
+    }
+
+    async getBook(owner, id) {
+        return this.toBook(this.getBookRow(owner, id));
+    }
+
+    /**
+     * Update a book's status, rating, notes or tags (tags are replaced)
+     */
+    async updateBook(owner, id, changes) {
+        const fields = validateUserFields(changes);
+        const row = this.getBookRow(owner, id);
+        const now = new Date().toISOString();
+
+        this.db.transaction(() => {
+            this.writeRow(id, { ...this.updateUserFields(row, fields, now), updated_at: now });
+            if (fields.tags) {
+                this.setTags(id, fields.tags);
+            }
+        })();
+
+        return this.getBook(owner, id);
+    }
+
+    async deleteBook(owner, id) {
+        this.getBookRow(owner, id);
+        this.db.prepare('DELETE FROM books WHERE id = ?').run(id);
+    }
+
+    /**
+     * Search and page through a user's books
+     * @param {{app: string, userId: string}} owner
+     * @param {Object} [query]
+     * @param {string} [query.q] - Matches title, authors or ISBN
+     * @param {string} [query.status]
+     * @param {string} [query.tag]
+     * @param {string} [query.shelf] - Shelf ID
+     * @param {string} [query.sort] - "added" (default), "updated", "title" or "rating"
+     * @param {number} [query.limit]
+     * @param {number} [query.offset]
+     * @returns {Promise<{books: Array<Object>, total: number, limit: number, offset: number}>}
+     */
+    async listBooks(owner, { q, status, tag, shelf, sort = 'added', limit, offset } = {}) {
+        if (status !== undefined && !READING_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of: ${READING_STATUSES.join(', ')}`);
+        }
+        if (!SORT_ORDERS[sort]) {
+            throw new ValidationError(`sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+        }
+
+        const conditions = ['b.app = @app', 'b.user_id = @userId'];
+        const params = { app: owner.app, userId: owner.userId };
+
+        if (q) {
+            conditions.push(`(b.title LIKE @q ESCAPE '\\' OR b.authors LIKE @q ESCAPE '\\' OR b.isbn13 = @isbn OR b.isbn10 = @isbn)`);
+            params.q = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+            params.isbn = normalizeIsbn(q)?.isbn13 || q;
+        }
+        if (status) {
+            conditions.push('b.status = @status');
+            params.status = status;
+        }
+        if (tag) {
+            conditions.push('EXISTS (SELECT 1 FROM book_tags t WHERE t.book_id = b.id AND t.tag = @tag)');
+            params.tag = tag.trim().toLowerCase();
+        }
+        if (shelf) {
+            conditions.push('EXISTS (SELECT 1 FROM shelf_books s WHERE s.book_id = b.id AND s.shelf_id = @shelf)');
+            params.shelf = shelf;
+        }
+
+        const where = conditions.join(' AND ');
+        const pageSize = clampInt(limit, DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+        const start = clampInt(offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+        const total = this.db.prepare(`SELECT COUNT(*) FROM books b WHERE ${where}`).pluck().get(params);
+        const rows = this.db.prepare(`SELECT b.* FROM books b WHERE ${where} ORDER BY ${SORT_ORDERS[sort]} LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit: pageSize, offset: start });
+
+        return {
+            books: rows.map(row => this.toBook(row)),
+            total,
+            limit: pageSize,
+            offset: start
+        };
+    }
+
+    /**
+     * Every book matching the listBooks filters, e.g. for an export
+     * @param {{app: string, userId: string}} owner
+     * @param {Object} [filters] - q, status, tag, shelf and sort, as for listBooks
+     * @returns {Promise<Array<Object>>}
+     */
+    async allBooks(owner, filters = {}) {
+        const books = [];
+
+        for (let offset = 0; ; offset += MAX_PAGE_SIZE) {
+            const page = await this.listBooks(owner, { ...filters, limit: MAX_PAGE_SIZE, offset });
+            books.push(...page.books);
+
+            if (page.books.length < MAX_PAGE_SIZE) {
+                return books;
+            }
+        }
+    }
+
+    toShelf(row) {
+        const bookCount = this.db.prepare('SELECT COUNT(*) FROM shelf_books WHERE shelf_id = ?').pluck().get(row.id);
+
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            bookCount,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    validateShelf({ name, description }, partial = false) {
+        const fields = {};
+
+        if (name !== undefined || !partial) {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new ValidationError('name is required');
+            }
+            fields.name = name.trim();
+        }
+        if (description !== undefined) {
+            if (description !== null && typeof description !== 'string') {
+                throw new ValidationError('description must be a string');
+            }
+            fields.description = description;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Run a shelf write, turning a duplicate name into a 409
+     */
+    writeShelf(statement) {
+        try {
+            statement();
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new ConflictError('A shelf with this name already exists');
+            }
+            throw error;
+        }
+    }
+
+    async listShelves(owner) {
+        return this.db.prepare('SELECT * FROM shelves WHERE app = ? AND user_id = ? ORDER BY name COLLATE NOCASE')
+            .all(owner.app, owner.userId)
+            .map(row => this.toShelf(row));
+    }
+
+    async createShelf(owner, input) {
+        const { name, description = null } = this.validateShelf(input);
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+
+        this.writeShelf(() => this.db.prepare(`
+            INSERT INTO shelves (id, app, user_id, name, description, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(id, owner.app, owner.userId, name, description, now, now));
+
+        return this.toShelf(this.getShelfRow(owner, id));
+    }
+
+    async updateShelf(owner, id, changes) {
+        const fields = this.validateShelf(changes, true);
+        this.getShelfRow(owner, id);
+
+        const updates = { ...fields, updated_at: new Date().toISOString() };
+        const assignments = Object.keys(updates).map(column => `${column} = @${column}`).join(', ');
+
+        this.writeShelf(() => this.db.prepare(`UPDATE shelves SET ${assignments} WHERE id = @id`).run({ ...updates, id }));
+
+        return this.toShelf(this.getShelfRow(owner, id));
+    }
+
+    /**
+     * Delete a shelf. Its books stay in the library.
+     */
+    async deleteShelf(owner, id) {
+        this.getShelfRow(owner, id);
+        this.db.prepare('DELETE FROM shelves WHERE id = ?').run(id);
+    }
+
+    async addBookToShelf(owner, shelfId, bookId) {
+        this.getShelfRow(owner, shelfId);
+        this.getBookRow(owner, bookId);
+        this.shelveBook(shelfId, bookId, new Date().toISOString());
+
+        return this.getBook(owner, bookId);
+    }
+
+    async removeBookFromShelf(owner, shelfId, bookId) {
+        this.getShelfRow(owner, shelfId);
+        const { changes } = this.db.prepare('DELETE FROM shelf_books WHERE shelf_id = ? AND book_id = ?').run(shelfId, bookId);
+
+        if (changes === 0) {
+            throw new NotFoundError('Book is not on this shelf', 'BOOK_NOT_FOUND');
+        }
+    }
+}
+
+module.exports = new LibraryService();
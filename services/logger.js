@@ -0,0 +1,153 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never logged (compared lowercased)
+const SECRET_FIELDS = ['authorization', 'x-api-key', 'apikey', 'api_key', 'key', 'password', 'secret', 'token'];
+
+// Field names holding image data
+const IMAGE_FIELDS = ['image', 'images', 'imagefile', 'imagefiles', 'base64'];
+
+// Secrets that can turn up inside a string, e.g. in an upstream error message
+const INLINE_SECRETS = [
+    /\bmt_[A-Za-z0-9_-]{8,}/g,
+    /\bsk-[A-Za-z0-9_-]{8,}/g,
+    /\bBearer\s+[^\s"']+/gi
+];
+
+// Longer base64 strings and data URIs are image payloads
+const BASE64_PAYLOAD = /^(data:[^,]*;base64,)?[A-Za-z0-9+/_-]{256,}={0,2}$/;
+
+const MAX_DEPTH = 6;
+
+function redactString(value) {
+    if (value.length >= 256 && BASE64_PAYLOAD.test(value)) {
+        return `[redacted base64, ${value.length} chars]`;
+    }
+    return INLINE_SECRETS.reduce((result, pattern) => result.replace(pattern, '[redacted]'), value);
+}
+
+/**
+ * A loggable copy of a value: secrets and image payloads replaced, errors reduced
+ * to their message, code and stack (never an axios error's config, which holds the
+ * upstream API key and the request body)
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[${value.length} bytes]`;
+    }
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message),
+            ...(value.code && { code: value.code }),
+            ...(value.status && { status: value.status }),
+            ...(value.response?.status && { upstreamStatus: value.response.status }),
+            ...(value.stack && { stack: redactString(value.stack) })
+        };
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const name = field.toLowerCase();
+
+        if (SECRET_FIELDS.includes(name)) {
+            result[field] = '[redacted]';
+        } else if (IMAGE_FIELDS.includes(name) && fieldValue && typeof fieldValue !== 'number' && typeof fieldValue !== 'boolean') {
+            result[field] = typeof fieldValue === 'string' || Buffer.isBuffer(fieldValue) ?
+                `[redacted image, ${fieldValue.length} ${Buffer.isBuffer(fieldValue) ? 'bytes' : 'chars'}]` :
+                '[redacted image]';
+        } else {
+            result[field] = redact(fieldValue, depth + 1);
+        }
+    }
+    return result;
+}
+
+/**
+ * Structured JSON logger: one line per entry with `time`, `level`, `msg`, the
+ * fields of the current context (e.g. `requestId`) and the entry's own fields,
+ * all passed through `redact`. Errors and warnings go to stderr, the rest to stdout.
+ *
+ * The context follows async calls, so services log with the request ID of the
+ * request they are working for without it being passed around.
+ */
+class Logger {
+    constructor() {
+        this.level = LEVELS[config.logging.level];
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run fn with fields on every entry it (and the async work it starts) logs;
+     * they replace the current context rather than adding to it
+     * @param {Object} fields - e.g. `{ requestId }` or `{ jobId }`
+     * @param {Function} fn
+     * @returns {*} - fn's return value
+     */
+    withContext(fields, fn) {
+        return this.storage.run(fields, fn);
+    }
+
+    /**
+     * Fields of the current context
+     * @returns {Object}
+     */
+    context() {
+        return this.storage.getStore() || {};
+    }
+
+    /**
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message
+     * @param {Object} [fields]
+     */
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < this.level) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...redact({ ...this.context(), ...fields })
+        };
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,212 @@
+// Request latency buckets, in seconds; vision calls take several seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Series of one metric, keyed by their label values in labelNames order
+ */
+class Metric {
+    constructor({ name, help, labelNames = [] }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(name => labels[name] ?? '');
+        const key = values.join('\u0000');
+
+        if (!this.series.has(key)) {
+            const labelObject = Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+            this.series.set(key, { labels: labelObject, ...create() });
+        }
+        return this.series.get(key);
+    }
+}
+
+class Counter extends Metric {
+    /**
+     * @param {Object} labels
+     * @param {number} [value=1]
+     */
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = LATENCY_BUCKETS, ...options }) {
+        super(options);
+        this.buckets = buckets;
+    }
+
+    /**
+     * @param {Object} labels
+     * @param {number} value - In the metric's unit (seconds for durations)
+     */
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; call the returned function with the labels to observe the elapsed seconds
+     * @returns {Function}
+     */
+    startTimer() {
+        const start = process.hrtime.bigint();
+        return labels => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * In-process metrics in the Prometheus text exposition format. Counts start
+ * from zero when the process starts, which Prometheus' rate() handles.
+ */
+class Metrics {
+    constructor() {
+        this.metrics = [];
+
+        this.httpRequestDuration = this.histogram({
+            name: 'http_request_duration_seconds',
+            help: 'Time to handle an HTTP request, by route and response status',
+            labelNames: ['method', 'route', 'status']
+        });
+        this.upstreamRequestDuration = this.histogram({
+            name: 'upstream_request_duration_seconds',
+            help: 'Time taken by calls to the model and book metadata providers',
+            labelNames: ['upstream', 'outcome']
+        });
+        this.upstreamErrors = this.counter({
+            name: 'upstream_errors_total',
+            help: 'Failed calls to the model and book metadata providers, by upstream HTTP status or error code',
+            labelNames: ['upstream', 'reason']
+        });
+        this.upstreamRetries = this.counter({
+            name: 'upstream_retries_total',
+            help: 'Model calls retried after a rate limit, upstream error or network error',
+            labelNames: ['upstream']
+        });
+        this.fallbacks = this.counter({
+            name: 'llm_fallbacks_total',
+            help: 'Model calls served by a fallback model, by the model routed and the fallback that was tried',
+            labelNames: ['from', 'to']
+        });
+        this.circuitOpened = this.counter({
+            name: 'upstream_circuit_opened_total',
+            help: 'Times a model\'s circuit breaker opened after repeated failures',
+            labelNames: ['model']
+        });
+        this.guardrailBlocks = this.counter({
+            name: 'guardrail_blocks_total',
+            help: 'Requests and model outputs blocked by the guardrails, by stage and error code',
+            labelNames: ['stage', 'code']
+        });
+        this.tokens = this.counter({
+            name: 'llm_tokens_total',
+            help: 'Model tokens used as reported by the provider, by model and token type (prompt or completion)',
+            labelNames: ['model', 'type']
+        });
+    }
+
+    counter(options) {
+        const metric = new Counter(options);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    histogram(options) {
+        const metric = new Histogram(options);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Time a call to an upstream provider, counting it as an error if it throws
+     * @param {string} upstream - e.g. "openai", "google-books"
+     * @param {Function} fn - Makes the call
+     * @returns {Promise<*>} - fn's result
+     */
+    async timeUpstream(upstream, fn) {
+        const stop = this.upstreamRequestDuration.startTimer();
+
+        try {
+            const result = await fn();
+            stop({ upstream, outcome: 'success' });
+            return result;
+        } catch (error) {
+            stop({ upstream, outcome: 'error' });
+            this.upstreamErrors.inc({ upstream, reason: error.response?.status || error.code || 'error' });
+            throw error;
+        }
+    }
+
+    /**
+     * All metrics, plus the process' memory and uptime
+     * @returns {string}
+     */
+    render() {
+        const memory = process.memoryUsage();
+        const lines = this.metrics.flatMap(metric => metric.render());
+
+        lines.push(
+            '# HELP process_resident_memory_bytes Resident memory size in bytes',
+            '# TYPE process_resident_memory_bytes gauge',
+            `process_resident_memory_bytes ${memory.rss}`,
+            '# HELP nodejs_heap_used_bytes V8 heap in use, in bytes',
+            '# TYPE nodejs_heap_used_bytes gauge',
+            `nodejs_heap_used_bytes ${memory.heapUsed}`,
+            '# HELP process_uptime_seconds Seconds since the process started',
+            '# TYPE process_uptime_seconds gauge',
+            `process_uptime_seconds ${process.uptime()}`
+        );
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new Metrics();
@@ -1,69 +1,56 @@
-const axios = require('axios');
 const sharp = require('sharp');
+const config = require('../config');
+const imageIngest = require('./imageIngest');
+const providers = require('./providers');
+const usageService = require('./usageService');
+const schemaValidator = require('./schemaValidator');
+const promptService = require('./promptService');
+const responseCache = require('./responseCache');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { books: bookSchemas, extraction: extractionSchemas } = require('../schemas');
+const upstreamClient = require('./upstreamClient');
+const { ApiError, ValidationError, NotFoundError, ImageError } = require('./errors');
+
+// A moderated stream is checked and sent a sentence at a time, holding back at most this much
+const MODERATED_CHUNK_CHARS = 200;
 
 class OpenAIService {
-    constructor() {
-        this.apiKey = process.env.OPENAI_API_KEY;
-        this.baseURL = process.env.OPENAI_BASE_URL;
-    }
-
     // ipconfig getifaddr en0
-    // Add a new method for image compression
+    /**
+     * Prepare an image for the vision models: any supported type (HEIC included),
+     * upright, at most MODEL_IMAGE_MAX_DIMENSION (1000) on each side, without metadata,
+     * as JPEG at MODEL_IMAGE_QUALITY (80%).
+     * Throws an ImageError (IMAGE_TOO_LARGE, INVALID_IMAGE) for images that are too large or can't be read.
+     * @param {string} base64Image
+     * @returns {Promise<string>} - Base64 JPEG
+     */
     async compressImage(base64Image) {
-        try {
-            // Convert base64 to buffer
-            const buffer = Buffer.from(base64Image, 'base64');
-
-            // Process the image: resize and compress
-            const compressedBuffer = await sharp(buffer)
-                .resize(1000, 1000, { // Resize to max dimensions while maintaining aspect ratio
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
-                .toBuffer();
-
-            // Convert back to base64
-            return compressedBuffer.toString('base64');
-        } catch (error) {
-            console.error('Image compression error:', error);
-            // If compression fails, return the original image
-            return base64Image;
-        }
+        const { base64 } = await imageIngest.ingestImage(base64Image, {
+            maxDimension: config.images.modelMaxDimension,
+            quality: config.images.modelJpegQuality
+        });
+        return base64;
     }
 
-    async sendMessage(message, systemPrompt = '') {
+    buildMessageRequest(message, systemPrompt = '') {
         const messages = [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: message }
         ];
 
-        const requestBody = {
-            model: 'gpt-4o',
+        return this.buildChatRequest(messages);
+    }
+
+    buildChatRequest(messages) {
+        return {
             messages: messages,
-            temperature: 0.7,
-            max_tokens: 2000
+            temperature: config.completions.temperature,
+            maxTokens: config.completions.maxTokens
         };
-
-        try {
-            const response = await axios.post(this.baseURL, requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            return response.data.choices[0].message.content;
-        } catch (error) {
-            console.error('OpenAI API Error:', error.response ? error.response.data : error.message);
-            throw error;
-        }
     }
 
-    async analyzeImage(image, prompt) {
-        // Compress the image first
-        const compressedImage = await this.compressImage(image);
-
+    buildImageAnalysisRequest(compressedImage, prompt) {
         const messages = [
             {
                 role: 'user',
@@ -74,172 +61,503 @@ class OpenAIService {
             }
         ];
 
-        const requestBody = {
-            model: 'gpt-4o',
+        return {
             messages: messages,
-            max_tokens: 500
+            maxTokens: config.completions.imageAnalysisMaxTokens
         };
+    }
 
-        try {
-            const response = await axios.post(this.baseURL, requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+    /**
+     * Base64 data of the data URI images in a list of messages
+     * @param {Array<Object>} messages - Chat messages
+     * @returns {Array<string>}
+     */
+    getImages(messages) {
+        return messages
+            .filter(message => Array.isArray(message.content))
+            .flatMap(message => message.content)
+            .filter(part => part.type === 'image_url')
+            .map(part => part.image_url.url.replace(/^data:[^;]+;base64,/, ''));
+    }
 
-            return response.data.choices[0].message.content;
-        } catch (error) {
-            console.error('OpenAI API Error:', error.response ? error.response.data : error.message);
-            throw error;
+    /**
+     * Estimate the vision tokens of the data URI images in a request
+     * @param {Array<Object>} messages - Chat messages
+     * @returns {Promise<number>}
+     */
+    async countImageTokens(messages) {
+        let tokens = 0;
+        for (const base64 of this.getImages(messages)) {
+            try {
+                const { width, height } = await sharp(Buffer.from(base64, 'base64')).metadata();
+                tokens += usageService.estimateImageTokens(width, height);
+            } catch (error) {
+                // Unreadable images still get sent; they just aren't counted
+            }
         }
+
+        return tokens;
     }
 
-    async scanBooks(imageBase64) {
-        // Compress the image first
-        const compressedImage = await this.compressImage(imageBase64);
+    /**
+     * Estimate a call's usage the provider didn't report: ~4 characters per text
+     * token, plus the images' vision tokens
+     * @param {Array<Object>} messages - Chat messages sent
+     * @param {string} completion - Content received
+     * @returns {Promise<Object>} - OpenAI-shaped usage
+     */
+    async estimateUsage(messages, completion) {
+        const text = messages
+            .flatMap(message => Array.isArray(message.content) ?
+                message.content.filter(part => part.type === 'text').map(part => part.text) :
+                [message.content || ''])
+            .join('');
+        const promptTokens = Math.ceil(text.length / 4) + await this.countImageTokens(messages);
+        const completionTokens = Math.ceil(completion.length / 4);
+
+        return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    }
 
-        const messages = [
-            {
-                role: "system",
-                content: "You are a specialized bookshelf analyzer. Extract detailed information about all books visible in images and return as a JSON array. Each book should have its own entry in the array."
-            },
-            {
-                role: "user",
-                content: [
-                    {
-                        type: "text",
-                        text: "Analyze this image of a bookshelf and identify all books visible. For each book, extract: title, author, isbn (if visible), genre, publication year, page count. Return the data as a JSON array of book objects. If no books are detected, reply with {\"error\": \"No books detected\"}. Format: [{book1}, {book2}, ...]"
-                    },
-                    {
-                        type: "image_url",
-                        image_url: {
-                            url: `data:image/jpeg;base64,${compressedImage}`
-                        }
-                    }
-                ]
+    /**
+     * Count a call's tokens in the metrics and add its usage to the request's meter, if there is one
+     */
+    async meterUsage(meter, spec, request, usage, cache = null, fallbackFrom = null) {
+        if (usage) {
+            metrics.tokens.inc({ model: spec, type: 'prompt' }, usage.prompt_tokens || 0);
+            metrics.tokens.inc({ model: spec, type: 'completion' }, usage.completion_tokens || 0);
+        }
+
+        if (meter) {
+            meter.add({
+                spec,
+                usage,
+                imageTokens: await this.countImageTokens(request.messages),
+                prompt: request.prompt,
+                cache,
+                fallbackFrom
+            });
+        }
+    }
+
+    /**
+     * Log a failed model call with the upstream's own error
+     */
+    logFailure(message, task, chain, error) {
+        const cause = error.cause || error;
+        logger.error(message, {
+            task,
+            models: chain.map(target => target.spec),
+            error,
+            upstreamStatus: cause.response?.status,
+            upstreamResponse: cause.response && typeof cause.response.data === 'object' ? cause.response.data : undefined
+        });
+    }
+
+    /**
+     * Run a completion on the provider and model routed for a task, through the
+     * upstream client: retried on rate limits and upstream errors, and served by the
+     * model's fallbacks (config/models.json) while it is failing
+     * @param {string} task - Routing key from config/models.json (the method name)
+     * @param {Object} request - Provider-neutral request: messages, temperature, maxTokens, timeout
+     *   (defaults to UPSTREAM_TIMEOUT_MS), and the `prompt` template version it was rendered from, if any
+     * @param {Object} [options]
+     * @param {string} [options.model] - Client-requested model, checked against the allowlist
+     * @param {Object} [options.meter] - Usage meter collecting token usage for the request
+     * @param {boolean} [options.cache] - Set to false to bypass the response cache
+     * @param {Object} [options.guard] - Guardrails to check the output with (guardrails.guardFor)
+     * @returns {Promise<{content: string, usage: Object|null, model: string, spec: string, fallbackFrom: (string|null), cacheEntry: (string|null)}>}
+     *   `spec` is the provider:model that served the request; `cacheEntry` the key of the
+     *   response cache entry the result came from or was stored in
+     */
+    async complete(task, request, options = {}) {
+        const chain = providers.resolveChain(task, options.model);
+        const { spec } = chain[0];
+        const timeout = request.timeout || upstreamClient.timeout;
+
+        // Only vision requests are cached; they are the slow and expensive ones
+        const images = this.getImages(request.messages);
+        const cacheKey = images.length > 0 ? await responseCache.keyFor(spec, request, images) : null;
+
+        if (cacheKey && options.cache !== false) {
+            const cached = responseCache.get(cacheKey);
+
+            if (cached) {
+                await this.meterUsage(options.meter, spec, request, null, 'hit');
+                return this.guardOutput(options.guard, { ...cached.value, cacheEntry: cached.key });
             }
-        ];
+        }
 
-        const requestBody = {
-            model: 'gpt-4o',
-            messages: messages,
-            max_tokens: 1000
-        };
+        let served;
+        let cacheEntry = null;
 
         try {
-            const response = await axios.post(this.baseURL, requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 120000 // 2 minute timeout
-            });
+            const { result, target, fallbackFrom } = await upstreamClient.run(chain, ({ provider, model }) =>
+                metrics.timeUpstream(provider.name, () => provider.complete({ ...request, model, timeout })));
+            await this.meterUsage(options.meter, target.spec, request, result.usage, cacheKey ? 'miss' : null, fallbackFrom);
 
-            const content = response.data.choices[0].message.content;
+            served = { ...result, spec: target.spec, fallbackFrom };
 
-            // Extract JSON from the response
-            let jsonMatch = content.match(/(\[.*\]|\{.*\})/s);
-
-            if (!jsonMatch) {
-                throw new Error("No JSON found in response");
+            // A fallback's answer isn't cached as the routed model's
+            if (cacheKey && !fallbackFrom) {
+                responseCache.set(cacheKey, served);
+                cacheEntry = cacheKey.key;
             }
+        } catch (error) {
+            this.logFailure('Model request failed', task, chain, error);
+            throw error;
+        }
 
-            const jsonString = jsonMatch[0];
-            const booksData = JSON.parse(jsonString);
+        return this.guardOutput(options.guard, { ...served, cacheEntry });
+    }
 
-            // Check if it's an error response
-            if (typeof booksData === 'object' && !Array.isArray(booksData) && booksData.error) {
-                throw { status: 404, message: booksData.error };
-            }
+    /**
+     * Check a completion's content with the request's guardrails, if it has any
+     * @throws {GuardrailError} - OUTPUT_BLOCKED
+     */
+    async guardOutput(guard, result) {
+        if (guard) {
+            await guard.checkOutput(result.content);
+        }
+        return result;
+    }
 
-            // Ensure we have an array
-            if (!Array.isArray(booksData)) {
-                throw new Error("Unexpected response format");
+    /**
+     * Streaming counterpart of `complete`, forwarding each content delta as it arrives
+     * @param {string} task - Routing key from config/models.json
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} [options]
+     * @param {string} [options.model] - Client-requested model
+     * @param {Function} [options.onDelta] - Called with each content delta string
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request; the usage of what had
+     *   streamed by then is estimated and metered, since the provider reports it only at the end
+     * @param {Object} [options.meter] - Usage meter collecting token usage for the request
+     * @param {Object} [options.guard] - Guardrails to check the output with. If the app's policy
+     *   moderates output, deltas are held back until a sentence ends (or MODERATED_CHUNK_CHARS
+     *   build up), and each chunk is forwarded only once it passes, checked along with the chunk
+     *   before it; after a blocked chunk nothing more is forwarded
+     * @returns {Promise<{content: string, usage: Object|null, model: string, spec: string, fallbackFrom: (string|null)}>}
+     */
+    async stream(task, request, { model: requested, onDelta, signal, meter, guard } = {}) {
+        const chain = providers.resolveChain(task, requested);
+        const timeout = request.timeout || upstreamClient.timeout;
+
+        const moderated = Boolean(guard && guard.policy.moderateOutput);
+        let held = '';
+        let previousChunk = '';
+        let moderation = Promise.resolve();
+
+        const release = () => {
+            const chunk = held;
+            held = '';
+            moderation = moderation.then(async () => {
+                await guard.checkOutput(previousChunk + chunk);
+                previousChunk = chunk;
+                if (onDelta) {
+                    onDelta(chunk);
+                }
+            });
+            // Rejections are rethrown once the stream ends
+            moderation.catch(() => {});
+        };
+
+        // Once content has been forwarded (or held back), a retry or fallback would repeat it
+        let started = false;
+        let streamed = '';
+        let current = null;
+        const forward = delta => {
+            started = true;
+            streamed += delta;
+            if (moderated) {
+                held += delta;
+                if (/[.!?\n]/.test(delta) || held.length >= MODERATED_CHUNK_CHARS) {
+                    release();
+                }
+            } else if (onDelta) {
+                onDelta(delta);
             }
+        };
+
+        let served;
 
-            // Map the response to match the Swift model
-            return booksData.map(book => ({
-                title: book.title || "Unknown Title",
-                author: book.author || "Unknown Author",
-                isbn: book.isbn || null,
-                genre: book.genre || null,
-                pageCount: book.page_count || book.pageCount || null
-            }));
+        try {
+            const { result, target, fallbackFrom } = await upstreamClient.run(chain, target => {
+                current = target;
+                return metrics.timeUpstream(target.provider.name, () =>
+                    target.provider.stream({ ...request, model: target.model, timeout }, { onDelta: forward, signal }));
+            }, { canRetry: () => !started && !(signal && signal.aborted) });
+            await this.meterUsage(meter, target.spec, request, result.usage, null, fallbackFrom);
+            served = { ...result, spec: target.spec, fallbackFrom };
         } catch (error) {
-            if (error.code === 'ECONNABORTED') {
-                throw { status: 408, message: "The API request timed out. Please try again." };
+            if (!signal || !signal.aborted) {
+                this.logFailure('Model stream failed', task, chain, error);
+            } else if (started) {
+                const usage = await this.estimateUsage(request.messages, streamed);
+                await this.meterUsage(meter, current.spec, request, usage, null, current === chain[0] ? null : chain[0].spec);
             }
             throw error;
         }
+
+        if (!moderated) {
+            return served;
+        }
+
+        if (held) {
+            release();
+        }
+        await moderation;
+
+        return served;
     }
 
-    async extractBookTitles(imageBase64) {
+    async sendMessage(message, systemPrompt = '', options = {}) {
+        const { content } = await this.complete('sendMessage', this.buildMessageRequest(message, systemPrompt), options);
+        return content;
+    }
+
+    /**
+     * Send a full chat transcript (e.g. a conversation history window)
+     * @param {Array<{role: string, content: string}>} messages - Chat messages in order
+     * @param {Object} [options]
+     * @param {string} [options.model] - Client-requested model
+     * @returns {Promise<string>} - Assistant reply content
+     */
+    async sendChat(messages, options = {}) {
+        const { content } = await this.complete('sendChat', this.buildChatRequest(messages), options);
+        return content;
+    }
+
+    async analyzeImage(image, prompt, options = {}) {
         // Compress the image first
-        const compressedImage = await this.compressImage(imageBase64);
+        const compressedImage = await this.compressImage(image);
+        const { content } = await this.complete('analyzeImage', this.buildImageAnalysisRequest(compressedImage, prompt), options);
+        return content;
+    }
 
-        const messages = [
-            {
-                role: "system",
-                content: "You are a quick book title extractor. Only identify book titles from images."
-            },
+    async streamMessage(message, systemPrompt = '', options = {}) {
+        return this.stream('sendMessage', this.buildMessageRequest(message, systemPrompt), options);
+    }
+
+    async streamImageAnalysis(image, prompt, options = {}) {
+        // Compress the image first
+        const compressedImage = await this.compressImage(image);
+        return this.stream('analyzeImage', this.buildImageAnalysisRequest(compressedImage, prompt), options);
+    }
+
+    /**
+     * Run a completion constrained to a JSON Schema and validate the result.
+     * Malformed JSON is repaired where possible; output that still doesn't
+     * match the schema gets one re-ask with the validation errors.
+     * @param {string} task - Routing key from config/models.json
+     * @param {Object} request - Provider-neutral request
+     * @param {{name: string, schema: Object}} responseFormat - Named JSON Schema for the output
+     * @param {Object} [options] - Passed through to `complete`
+     * @returns {Promise<*>} - Parsed output matching the schema
+     */
+    async completeStructured(task, request, responseFormat, options = {}) {
+        let messages = request.messages;
+        let errors = [];
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const attemptRequest = { ...request, messages, responseFormat };
+            const { content, cacheEntry } = await this.complete(task, attemptRequest, options);
+            const data = schemaValidator.parseJson(content);
+
+            if (data === undefined) {
+                errors = [{ path: '/', message: 'response is not valid JSON' }];
+            } else {
+                const result = schemaValidator.validate(responseFormat.schema, data);
+                if (result.valid) {
+                    return data;
+                }
+                errors = result.errors;
+            }
+
+            // Don't keep serving an invalid answer from the cache
+            if (cacheEntry) {
+                responseCache.remove(cacheEntry);
+            }
+
+            messages = [
+                ...request.messages,
+                { role: 'assistant', content: content || '' },
+                {
+                    role: 'user',
+                    content: `Your response did not match the required JSON Schema: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}. Reply again with only JSON that matches the schema.`
+                }
+            ];
+        }
+
+        throw new ApiError('INVALID_MODEL_OUTPUT', "Model output failed schema validation", { details: errors });
+    }
+
+    /**
+     * Extract structured data matching a caller-supplied JSON Schema from an image or text
+     * @param {Object} input
+     * @param {string} [input.image] - Base64 encoded image
+     * @param {string} [input.text] - Text to extract from
+     * @param {Object} input.schema - JSON Schema for the extracted data
+     * @param {string} [input.instructions] - Extra guidance for the model
+     * @param {boolean} [input.includeConfidence] - Ask for per-field confidence scores
+     * @param {Object} [options] - Passed through to `complete`
+     * @returns {Promise<{data: *, confidence?: Object}>}
+     */
+    async extract({ image, text, schema, instructions, includeConfidence = false }, options = {}) {
+        const schemaCheck = schemaValidator.checkSchema(schema);
+
+        if (!schemaCheck.valid) {
+            throw new ValidationError("Invalid JSON Schema", { code: 'INVALID_SCHEMA', details: schemaCheck.errors });
+        }
+
+        const content = [
             {
-                role: "user",
-                content: [
-                    {
-                        type: "text",
-                        text: "Extract just the book titles (no author, no summary) from this image. Return the data as a JSON array of strings. If no books are detected, return an empty array. Format: [\"Title 1\", \"Title 2\", ...]"
-                    },
-                    {
-                        type: "image_url",
-                        image_url: {
-                            url: `data:image/jpeg;base64,${compressedImage}`
-                        }
-                    }
-                ]
+                type: "text",
+                text: [
+                    `Extract data from the ${image ? 'image' : 'text below'} into the "data" field, following this JSON Schema: ${JSON.stringify(schema)}`,
+                    "Use null for values that are not present. Do not guess.",
+                    includeConfidence
+                        ? "In \"confidence\", give a score from 0 to 1 for each extracted field, keyed by its JSON Pointer (e.g. \"/total\")."
+                        : null,
+                    instructions ? `Additional instructions: ${instructions}` : null,
+                    text ? `Text:\n${text}` : null
+                ].filter(Boolean).join('\n\n')
             }
         ];
 
-        const requestBody = {
-            model: 'gpt-4o',
-            messages: messages,
-            max_tokens: 500,  // Reduced tokens since we only need titles
-            temperature: 0.3  // Lower temperature for more focused extraction
-        };
+        if (image) {
+            // Compress the image first
+            const compressedImage = await this.compressImage(image);
+            content.push({
+                type: "image_url",
+                image_url: {
+                    url: `data:image/jpeg;base64,${compressedImage}`
+                }
+            });
+        }
 
-        try {
-            const response = await axios.post(this.baseURL, requestBody, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
+        const request = {
+            messages: [
+                {
+                    role: "system",
+                    content: "You are a precise data extraction assistant. Only report information that is actually present in the input."
                 },
-                timeout: 60000 // 1 minute timeout (half of the full scan)
+                { role: "user", content }
+            ],
+            maxTokens: config.completions.extractMaxTokens,
+            temperature: 0,
+            timeout: config.completions.visionTimeoutMs // Same as a full book scan
+        };
+
+        const output = await this.completeStructured('extract', request, extractionSchemas.extractionOutput(schema, includeConfidence), options);
+
+        return includeConfidence
+            ? { data: output.data, confidence: output.confidence || {} }
+            : { data: output.data };
+    }
+
+    /**
+     * Build a provider-neutral request from a rendered prompt template
+     * @param {Object} rendered - Output of promptService.render
+     * @param {string} [compressedImage] - Base64 JPEG to attach to the user message
+     * @returns {Object}
+     */
+    buildTemplateRequest(rendered, compressedImage) {
+        const userContent = [{ type: "text", text: rendered.user }];
+
+        if (compressedImage) {
+            userContent.push({
+                type: "image_url",
+                image_url: {
+                    url: `data:image/jpeg;base64,${compressedImage}`
+                }
             });
+        }
 
-            const content = response.data.choices[0].message.content;
+        const messages = [
+            { role: "system", content: rendered.system },
+            { role: "user", content: userContent }
+        ];
 
-            // Extract JSON from the response
-            let jsonMatch = content.match(/(\[.*\]|\{.*\})/s);
+        return {
+            messages: messages.filter(message => message.content),
+            temperature: rendered.temperature,
+            maxTokens: rendered.maxTokens,
+            prompt: { name: rendered.name, version: rendered.version }
+        };
+    }
 
-            if (!jsonMatch) {
-                throw new Error("No JSON found in response");
-            }
+    /**
+     * Render a named prompt template and run it
+     * @param {string} name - Template name
+     * @param {Object} [input]
+     * @param {Object} [input.variables] - Template variables
+     * @param {number} [input.version] - Specific template version
+     * @param {string} [input.image] - Base64 encoded image, for image templates
+     * @param {Object} [options] - Passed through to `complete`
+     * @returns {Promise<{output: *, template: {name: string, version: number}}>}
+     */
+    async runPrompt(name, { variables, version, image } = {}, options = {}) {
+        const rendered = await promptService.render(name, { variables, version });
+
+        if (rendered.image && !image) {
+            throw new ImageError('IMAGE_REQUIRED', `Prompt template "${name}" requires an image`);
+        }
 
-            const jsonString = jsonMatch[0];
-            const titlesData = JSON.parse(jsonString);
+        // Compress the image first
+        const compressedImage = rendered.image ? await this.compressImage(image) : null;
+        const request = { ...this.buildTemplateRequest(rendered, compressedImage), timeout: config.completions.visionTimeoutMs };
+        const runOptions = { ...options, model: options.model || rendered.model };
 
-            // Check if it's an array
-            if (!Array.isArray(titlesData)) {
-                throw new Error("Unexpected response format");
-            }
+        const output = rendered.schema
+            ? await this.completeStructured('promptTemplate', request, { name: 'template_output', schema: rendered.schema, strict: false }, runOptions)
+            : (await this.complete('promptTemplate', request, runOptions)).content;
 
-            return titlesData;
-        } catch (error) {
-            if (error.code === 'ECONNABORTED') {
-                throw { status: 408, message: "The API request timed out. Please try again." };
-            }
-            throw error;
+        return { output, template: request.prompt };
+    }
+
+    async scanBooks(imageBase64, options = {}) {
+        // Compress the image first
+        const compressedImage = await this.compressImage(imageBase64);
+
+        const rendered = await promptService.render('scan-books', { version: options.promptVersion });
+        const request = {
+            ...this.buildTemplateRequest(rendered, compressedImage),
+            timeout: config.completions.visionTimeoutMs
+        };
+
+        const { books } = await this.completeStructured('scanBooks', request, bookSchemas.scanBooksOutput, {
+            ...options,
+            model: options.model || rendered.model
+        });
+
+        if (books.length === 0) {
+            throw new NotFoundError("No books detected", 'NO_BOOKS_DETECTED');
         }
+
+        // Map the response to match the Swift model
+        return books.map(book => ({
+            title: book.title || "Unknown Title",
+            author: book.author || "Unknown Author",
+            isbn: book.isbn || null,
+            genre: book.genre || null,
+            pageCount: book.pageCount || null
+        }));
+    }
+
+    async extractBookTitles(imageBase64, options = {}) {
+        // Compress the image first
+        const compressedImage = await this.compressImage(imageBase64);
+
+        const rendered = await promptService.render('extract-book-titles', { version: options.promptVersion });
+        const request = {
+            ...this.buildTemplateRequest(rendered, compressedImage),
+            timeout: config.completions.titlesTimeoutMs
+        };
+
+        const { titles } = await this.completeStructured('extractBookTitles', request, bookSchemas.bookTitlesOutput, {
+            ...options,
+            model: options.model || rendered.model
+        });
+        return titles;
     }
 }
 
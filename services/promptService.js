@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const schemaValidator = require('./schemaValidator');
+const providers = require('./providers');
+const { createStore } = require('./stores');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Check the fields of a new version (and of a new template)
+ * @throws {ValidationError}
+ */
+function validateDefinition(definition) {
+    if (!definition.user || typeof definition.user !== 'string') {
+        throw new ValidationError("A user prompt is required");
+    }
+    for (const field of ['system', 'description']) {
+        if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+            throw new ValidationError(`${field} must be a string`);
+        }
+    }
+    if (definition.weight !== undefined && !(typeof definition.weight === 'number' && Number.isFinite(definition.weight) && definition.weight >= 0)) {
+        throw new ValidationError("weight must be a number of 0 or more");
+    }
+    if (definition.temperature !== undefined && !(typeof definition.temperature === 'number' && definition.temperature >= 0 && definition.temperature <= 2)) {
+        throw new ValidationError("temperature must be a number from 0 to 2");
+    }
+    if (definition.maxTokens !== undefined && !(Number.isInteger(definition.maxTokens) && definition.maxTokens > 0)) {
+        throw new ValidationError("maxTokens must be a positive integer");
+    }
+    if (definition.model !== undefined) {
+        if (typeof definition.model !== 'string' || !definition.model) {
+            throw new ValidationError("model must be a model name");
+        }
+        // Throws MODEL_NOT_ALLOWED for models outside the allowlist
+        providers.resolveModel('promptTemplate', definition.model);
+    }
+    if (definition.variables !== undefined && !(Array.isArray(definition.variables) && definition.variables.every(variable => typeof variable === 'string'))) {
+        throw new ValidationError("variables must be an array of variable names");
+    }
+    if (definition.image !== undefined && typeof definition.image !== 'boolean') {
+        throw new ValidationError("image must be a boolean");
+    }
+    if (definition.schema !== undefined) {
+        const schemaCheck = schemaValidator.checkSchema(definition.schema);
+        if (!schemaCheck.valid) {
+            throw new ValidationError("Invalid JSON Schema", { code: 'INVALID_SCHEMA', details: schemaCheck.errors });
+        }
+    }
+}
+
+/**
+ * Named prompt templates, each holding a list of versions. The seed templates
+ * are JSON files in PROMPTS_DIR, one per template, kept in git and re-read when
+ * they change on disk. Versions added at runtime go to the prompts store in the
+ * data directory instead, so deploys neither conflict with nor overwrite them;
+ * a template's versions are the seed file's followed by the stored ones.
+ *
+ * A version has `system` and `user` text with `{{variable}}` placeholders and
+ * optional model parameters (model, temperature, maxTokens) and output schema.
+ * When no version is requested, one is picked at random by `weight`, which
+ * allows A/B testing two wordings side by side.
+ */
+class PromptService {
+    constructor() {
+        this.directory = config.prompts.dir;
+        this.cache = new Map();
+        this.store = createStore(config.storage.prompts, 'prompts');
+        // Versions are added one at a time, so two can't take the same number
+        this.writes = Promise.resolve();
+    }
+
+    filePath(name) {
+        if (!NAME_PATTERN.test(name)) {
+            throw new ValidationError("Template names may only contain lowercase letters, digits and dashes");
+        }
+
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    /**
+     * Load a seed template, using the cached copy unless the file changed
+     * @param {string} name - Template name
+     * @returns {Object|null} - The seed template, or null if there's no file for it
+     */
+    getSeedTemplate(name) {
+        const filePath = this.filePath(name);
+        let stats;
+
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        const cached = this.cache.get(name);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.template;
+        }
+
+        const template = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        this.cache.set(name, { mtimeMs: stats.mtimeMs, template });
+        return template;
+    }
+
+    /**
+     * Load a template with its seed and stored versions
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} - Template with all versions
+     */
+    async getTemplate(name) {
+        const seed = this.getSeedTemplate(name);
+        const stored = await this.store.get(name);
+
+        if (!seed && !stored) {
+            throw new NotFoundError(`Prompt template "${name}" not found`, 'PROMPT_NOT_FOUND');
+        }
+
+        return seed ? { ...seed, versions: [...seed.versions, ...(stored ? stored.versions : [])] } : stored;
+    }
+
+    async listTemplates() {
+        const seedNames = fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+        const storedNames = (await this.store.values()).map(template => template.name);
+        const names = [...new Set([...seedNames, ...storedNames])].sort();
+
+        const templates = await Promise.all(names.map(name => this.getTemplate(name)));
+        return templates.map(template => ({
+            name: template.name,
+            description: template.description,
+            variables: template.variables || [],
+            image: Boolean(template.image),
+            versions: template.versions.map(({ version, weight, createdAt }) => ({ version, weight, createdAt }))
+        }));
+    }
+
+    /**
+     * Pick a version: the requested one, else weighted random among versions
+     * with a positive weight, else the latest
+     * @param {Object} template
+     * @param {number} [version]
+     * @returns {Object} - Template version
+     */
+    selectVersion(template, version) {
+        if (version !== undefined && version !== null && version !== '') {
+            const match = template.versions.find(v => v.version === Number(version));
+
+            if (!match) {
+                throw new NotFoundError(`Prompt template "${template.name}" has no version ${version}`, 'PROMPT_NOT_FOUND');
+            }
+
+            return match;
+        }
+
+        const weighted = template.versions.filter(v => v.weight > 0);
+
+        if (weighted.length === 0) {
+            return template.versions.reduce((latest, v) => (v.version > latest.version ? v : latest));
+        }
+
+        let pick = Math.random() * weighted.reduce((sum, v) => sum + v.weight, 0);
+        for (const v of weighted) {
+            pick -= v.weight;
+            if (pick < 0) {
+                return v;
+            }
+        }
+
+        return weighted[weighted.length - 1];
+    }
+
+    renderText(text, variables) {
+        return (text || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+            const value = variables[name];
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        });
+    }
+
+    /**
+     * Render a template into messages and model parameters
+     * @param {string} name - Template name
+     * @param {Object} [options]
+     * @param {Object} [options.variables] - Values for the template's `{{variables}}`
+     * @param {number} [options.version] - Specific version, otherwise weighted selection
+     * @returns {Promise<Object>} - `{ name, version, system, user, model, temperature, maxTokens, schema }`
+     */
+    async render(name, { variables = {}, version } = {}) {
+        if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+            throw new ValidationError('Variables must be a JSON object');
+        }
+
+        const template = await this.getTemplate(name);
+        const selected = this.selectVersion(template, version);
+
+        const used = new Set();
+        for (const text of [selected.system, selected.user]) {
+            for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+                used.add(match[1]);
+            }
+        }
+
+        const missing = [...used].filter(variable => variables[variable] === undefined || variables[variable] === null);
+        if (missing.length > 0) {
+            throw new ValidationError(`Missing template variables: ${missing.join(', ')}`);
+        }
+
+        return {
+            name: template.name,
+            version: selected.version,
+            image: Boolean(template.image),
+            system: this.renderText(selected.system, variables),
+            user: this.renderText(selected.user, variables),
+            model: selected.model,
+            temperature: selected.temperature,
+            maxTokens: selected.maxTokens,
+            schema: selected.schema
+        };
+    }
+
+    /**
+     * Add a version to a template, creating the template if needed
+     * @param {string} name - Template name
+     * @param {Object} definition - system, user, weight, model, temperature, maxTokens, schema,
+     *   plus description, variables and image when creating a template
+     * @returns {Promise<Object>} - The new version
+     * @throws {ValidationError} - For a missing prompt or a field of the wrong type
+     */
+    async addVersion(name, definition) {
+        // Checks the name
+        this.filePath(name);
+        validateDefinition(definition);
+
+        const adding = this.writes.then(() => this.storeVersion(name, definition));
+        this.writes = adding.catch(() => {});
+        return adding;
+    }
+
+    async storeVersion(name, definition) {
+        let template;
+        try {
+            template = await this.getTemplate(name);
+        } catch (error) {
+            if (error.code !== 'PROMPT_NOT_FOUND') {
+                throw error;
+            }
+            template = {
+                name,
+                description: definition.description || '',
+                variables: definition.variables || [],
+                image: Boolean(definition.image),
+                versions: []
+            };
+        }
+
+        const version = {
+            version: template.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+            weight: definition.weight ?? 1,
+            createdAt: new Date().toISOString(),
+            system: definition.system || '',
+            user: definition.user
+        };
+
+        for (const field of ['model', 'temperature', 'maxTokens', 'schema']) {
+            if (definition[field] !== undefined) {
+                version[field] = definition[field];
+            }
+        }
+
+        // Only the added versions are stored; a seed template's own stay in its file
+        const stored = (await this.store.get(name)) || { ...template, versions: [] };
+        await this.store.set(name, { ...stored, versions: [...stored.versions, version] });
+
+        return version;
+    }
+}
+
+module.exports = new PromptService();
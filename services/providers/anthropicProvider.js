@@ -0,0 +1,153 @@
+const axios = require('axios');
+const { streamEventData } = require('./streamLines');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Convert a data URI image part into an Anthropic base64 image block
+ * @param {string} url - `data:<mime>;base64,<data>` URI
+ * @returns {Object}
+ */
+function toImageBlock(url) {
+    const match = /^data:([^;]+);base64,(.*)$/s.exec(url);
+
+    if (!match) {
+        return { type: 'image', source: { type: 'url', url } };
+    }
+
+    return {
+        type: 'image',
+        source: { type: 'base64', media_type: match[1], data: match[2] }
+    };
+}
+
+function toContentBlocks(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return content.map(part => (part.type === 'image_url'
+        ? toImageBlock(part.image_url.url)
+        : { type: 'text', text: part.text }));
+}
+
+function toUsage(inputTokens, outputTokens) {
+    return {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Adapter for the Anthropic Messages API
+ */
+class AnthropicProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - Messages endpoint URL
+     * @param {string} [options.apiKey]
+     */
+    constructor({ baseURL, apiKey }) {
+        this.name = 'anthropic';
+        this.baseURL = baseURL;
+        this.apiKey = apiKey;
+    }
+
+    buildBody({ model, messages, temperature, maxTokens, responseFormat }) {
+        // System prompts are a top-level field rather than a message role
+        const systemParts = messages
+            .filter(message => message.role === 'system' && message.content)
+            .map(message => message.content);
+
+        // There is no response_format here, so the schema goes in the instructions
+        if (responseFormat) {
+            systemParts.push(`Respond with only a JSON value matching this JSON Schema, with no other text:\n${JSON.stringify(responseFormat.schema)}`);
+        }
+
+        const system = systemParts.join('\n\n');
+
+        const body = {
+            model,
+            max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+            messages: messages
+                .filter(message => message.role !== 'system')
+                .map(message => ({ role: message.role, content: toContentBlocks(message.content) }))
+        };
+
+        if (system) {
+            body.system = system;
+        }
+        if (temperature !== undefined) {
+            body.temperature = temperature;
+        }
+
+        return body;
+    }
+
+    buildConfig({ timeout, signal }) {
+        return {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION,
+                'Content-Type': 'application/json'
+            },
+            timeout,
+            signal
+        };
+    }
+
+    /**
+     * Check the endpoint answers, for the readiness check
+     * @param {Object} options
+     * @param {number} options.timeout
+     * @returns {Promise<number>} - HTTP status of the response
+     */
+    async ping({ timeout }) {
+        // A GET on the messages URL is answered (405/404) without running a model
+        const response = await axios.get(this.baseURL, { ...this.buildConfig({ timeout }), validateStatus: () => true });
+        return response.status;
+    }
+
+    async complete(request) {
+        const response = await axios.post(this.baseURL, this.buildBody(request), this.buildConfig(request));
+        const { content = [], usage, model } = response.data;
+
+        return {
+            content: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: usage ? toUsage(usage.input_tokens, usage.output_tokens) : null,
+            model: model || request.model
+        };
+    }
+
+    async stream(request, { onDelta, signal } = {}) {
+        const response = await axios.post(this.baseURL, { ...this.buildBody(request), stream: true }, {
+            ...this.buildConfig({ ...request, signal }),
+            responseType: 'stream'
+        });
+
+        let content = '';
+        let inputTokens = 0;
+        let outputTokens = 0;
+
+        for await (const event of streamEventData(response.data)) {
+            if (event.type === 'message_start' && event.message?.usage) {
+                inputTokens = event.message.usage.input_tokens || 0;
+            } else if (event.type === 'message_delta' && event.usage) {
+                outputTokens = event.usage.output_tokens || 0;
+            } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                content += event.delta.text;
+                if (onDelta) {
+                    onDelta(event.delta.text);
+                }
+            }
+        }
+
+        return { content, usage: toUsage(inputTokens, outputTokens), model: request.model };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,129 @@
+const config = require('../../config');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const { ValidationError } = require('../errors');
+
+const providerFactories = {
+    openai: () => new OpenAIProvider({
+        baseURL: config.providers.openai.baseUrl,
+        apiKey: config.providers.openai.apiKey
+    }),
+    anthropic: () => new AnthropicProvider({
+        baseURL: config.providers.anthropic.baseUrl,
+        apiKey: config.providers.anthropic.apiKey
+    }),
+    ollama: () => new OllamaProvider({
+        baseURL: config.providers.ollama.baseUrl
+    })
+};
+
+const providers = {};
+
+function getProvider(name) {
+    if (!providerFactories[name]) {
+        throw new Error(`Unknown provider "${name}"`);
+    }
+
+    if (!providers[name]) {
+        providers[name] = providerFactories[name]();
+    }
+
+    return providers[name];
+}
+
+/**
+ * Split a "provider:model" spec. A bare model name uses the OpenAI-compatible provider.
+ * @param {string} spec - e.g. "anthropic:claude-3-5-haiku-latest"
+ * @returns {{provider: string, model: string}}
+ */
+function parseModelSpec(spec) {
+    const separator = spec.indexOf(':');
+
+    if (separator === -1) {
+        return { provider: 'openai', model: spec };
+    }
+
+    return { provider: spec.slice(0, separator), model: spec.slice(separator + 1) };
+}
+
+// config/models.json (MODELS_CONFIG), checked by the config module at startup
+const modelsConfig = config.models;
+
+/**
+ * Pick the provider and model for a task. Callers may request a model from the
+ * allowlist, either as "provider:model" or as a bare model name.
+ * @param {string} task - Service method name, e.g. "extractBookTitles"
+ * @param {string} [requested] - Model requested by the client
+ * @returns {{provider: Object, model: string, spec: string}}
+ */
+function resolveModel(task, requested) {
+    let spec = modelsConfig.routes[task] || modelsConfig.default;
+
+    if (requested) {
+        const allowlist = modelsConfig.allowlist || [];
+        const match = allowlist.find(entry => entry === requested || parseModelSpec(entry).model === requested);
+
+        if (!match) {
+            throw new ValidationError(`Model "${requested}" is not allowed. Allowed models: ${allowlist.join(', ')}`, { code: 'MODEL_NOT_ALLOWED' });
+        }
+
+        spec = match;
+    }
+
+    const { provider, model } = parseModelSpec(spec);
+    return { provider: getProvider(provider), model, spec };
+}
+
+/**
+ * The model for a task followed by its fallbacks from the `fallbacks` section of
+ * config/models.json, in the order to try them
+ * @param {string} task - Service method name
+ * @param {string} [requested] - Model requested by the client
+ * @returns {Array<{provider: Object, model: string, spec: string}>}
+ */
+function resolveChain(task, requested) {
+    const primary = resolveModel(task, requested);
+    const fallbacks = (modelsConfig.fallbacks || {})[primary.spec] || [];
+
+    return [primary, ...fallbacks
+        .filter((spec, index) => spec !== primary.spec && fallbacks.indexOf(spec) === index)
+        .map(spec => {
+            const { provider, model } = parseModelSpec(spec);
+            return { provider: getProvider(provider), model, spec };
+        })];
+}
+
+/**
+ * Environment variables a provider needs that aren't set
+ * @param {string} name - Provider name
+ * @returns {Array<string>}
+ */
+function missingConfig(name) {
+    return config.missingProviderSettings(name);
+}
+
+/**
+ * Providers in use: `routed` serve the default model or a task route, `allowed`
+ * are only used when a client requests one of their allowlisted models or as a fallback
+ * @returns {{routed: Array<string>, allowed: Array<string>}}
+ */
+function providerNames() {
+    const routedSpecs = [modelsConfig.default, ...Object.values(modelsConfig.routes || {})].filter(Boolean);
+    const routed = new Set(routedSpecs.map(spec => parseModelSpec(spec).provider));
+    const allowed = new Set([...(modelsConfig.allowlist || []), ...Object.values(modelsConfig.fallbacks || {}).flat()]
+        .map(spec => parseModelSpec(spec).provider)
+        .filter(name => !routed.has(name)));
+
+    return { routed: [...routed], allowed: [...allowed] };
+}
+
+module.exports = {
+    resolveModel,
+    resolveChain,
+    parseModelSpec,
+    getProvider,
+    missingConfig,
+    providerNames,
+    modelsConfig
+};
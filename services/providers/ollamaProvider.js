@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { streamLines } = require('./streamLines');
+
+/**
+ * Ollama takes images as a separate base64 array on the message
+ * rather than as content parts
+ */
+function toOllamaMessage({ role, content }) {
+    if (typeof content === 'string') {
+        return { role, content };
+    }
+
+    return {
+        role,
+        content: content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+        images: content
+            .filter(part => part.type === 'image_url')
+            .map(part => part.image_url.url.replace(/^data:[^;]+;base64,/, ''))
+    };
+}
+
+function toUsage(data) {
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+/**
+ * Adapter for a local Ollama server's native /api/chat endpoint
+ */
+class OllamaProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - Server root, e.g. http://localhost:11434
+     */
+    constructor({ baseURL }) {
+        this.name = 'ollama';
+        this.baseURL = baseURL.replace(/\/$/, '');
+    }
+
+    buildBody({ model, messages, temperature, maxTokens, responseFormat }, stream) {
+        const options = {};
+
+        if (temperature !== undefined) {
+            options.temperature = temperature;
+        }
+        if (maxTokens !== undefined) {
+            options.num_predict = maxTokens;
+        }
+
+        const body = {
+            model,
+            messages: messages.map(toOllamaMessage),
+            stream,
+            options
+        };
+
+        if (responseFormat) {
+            body.format = responseFormat.schema;
+        }
+
+        return body;
+    }
+
+    /**
+     * Check the endpoint answers, for the readiness check
+     * @param {Object} options
+     * @param {number} options.timeout
+     * @returns {Promise<number>} - HTTP status of the response
+     */
+    async ping({ timeout }) {
+        const response = await axios.get(`${this.baseURL}/api/tags`, { timeout, validateStatus: () => true });
+        return response.status;
+    }
+
+    async complete(request) {
+        const response = await axios.post(`${this.baseURL}/api/chat`, this.buildBody(request, false), {
+            timeout: request.timeout,
+            signal: request.signal
+        });
+
+        return {
+            content: response.data.message?.content || '',
+            usage: toUsage(response.data),
+            model: response.data.model || request.model
+        };
+    }
+
+    async stream(request, { onDelta, signal } = {}) {
+        const response = await axios.post(`${this.baseURL}/api/chat`, this.buildBody(request, true), {
+            timeout: request.timeout,
+            signal,
+            responseType: 'stream'
+        });
+
+        let content = '';
+        let usage = null;
+
+        // Ollama streams newline-delimited JSON objects
+        for await (const line of streamLines(response.data)) {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch (parseError) {
+                continue;
+            }
+
+            const delta = data.message?.content;
+            if (delta) {
+                content += delta;
+                if (onDelta) {
+                    onDelta(delta);
+                }
+            }
+
+            if (data.done) {
+                usage = toUsage(data);
+            }
+        }
+
+        return { content, usage, model: request.model };
+    }
+}
+
+module.exports = OllamaProvider;
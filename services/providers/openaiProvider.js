@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { streamEventData } = require('./streamLines');
+
+/**
+ * Adapter for OpenAI and any OpenAI-compatible chat completions endpoint
+ * (Azure OpenAI proxies, vLLM, llama.cpp server, LM Studio, ...)
+ */
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseURL - Full chat completions URL
+     * @param {string} [options.apiKey]
+     */
+    constructor({ baseURL, apiKey }) {
+        this.name = 'openai';
+        this.baseURL = baseURL;
+        this.apiKey = apiKey;
+    }
+
+    buildBody({ model, messages, temperature, maxTokens, responseFormat }) {
+        const body = { model, messages };
+
+        if (temperature !== undefined) {
+            body.temperature = temperature;
+        }
+        if (maxTokens !== undefined) {
+            body.max_tokens = maxTokens;
+        }
+        if (responseFormat) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: responseFormat.strict !== false }
+            };
+        }
+
+        return body;
+    }
+
+    buildConfig({ timeout, signal }) {
+        return {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            timeout,
+            signal
+        };
+    }
+
+    /**
+     * Check the endpoint answers, for the readiness check
+     * @param {Object} options
+     * @param {number} options.timeout
+     * @returns {Promise<number>} - HTTP status of the response
+     */
+    async ping({ timeout }) {
+        // A GET on the completions URL is answered (405/404) without running a model
+        const response = await axios.get(this.baseURL, { ...this.buildConfig({ timeout }), validateStatus: () => true });
+        return response.status;
+    }
+
+    async complete(request) {
+        const response = await axios.post(this.baseURL, this.buildBody(request), this.buildConfig(request));
+
+        return {
+            content: response.data.choices[0].message.content,
+            usage: response.data.usage || null,
+            model: response.data.model || request.model
+        };
+    }
+
+    async stream(request, { onDelta, signal } = {}) {
+        const response = await axios.post(this.baseURL, {
+            ...this.buildBody(request),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, {
+            ...this.buildConfig({ ...request, signal }),
+            responseType: 'stream'
+        });
+
+        let content = '';
+        let usage = null;
+
+        for await (const payload of streamEventData(response.data)) {
+            if (payload.usage) {
+                usage = payload.usage;
+            }
+
+            const delta = payload.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                if (onDelta) {
+                    onDelta(delta);
+                }
+            }
+        }
+
+        return { content, usage, model: request.model };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,60 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Split a streamed HTTP response body into lines, buffering partial lines
+ * (and partial multi-byte characters) across chunks.
+ * @param {AsyncIterable<Buffer>} stream - Response stream (axios `responseType: 'stream'`)
+ * @returns {AsyncGenerator<string>} - Trimmed, non-empty lines
+ */
+async function* streamLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += decoder.write(chunk);
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed) {
+                yield trimmed;
+            }
+        }
+    }
+
+    const rest = (buffer + decoder.end()).trim();
+    if (rest) {
+        yield rest;
+    }
+}
+
+/**
+ * Parse the `data:` payloads of a Server-Sent Events stream as JSON
+ * @param {AsyncIterable<Buffer>} stream
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamEventData(stream) {
+    for await (const line of streamLines(stream)) {
+        if (!line.startsWith('data:')) {
+            continue;
+        }
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') {
+            continue;
+        }
+
+        try {
+            yield JSON.parse(data);
+        } catch (parseError) {
+            // Ignore keep-alive comments and malformed lines
+        }
+    }
+}
+
+module.exports = {
+    streamLines,
+    streamEventData
+};
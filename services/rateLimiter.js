@@ -0,0 +1,66 @@
+/**
+ * In-memory token bucket rate limiter. Each bucket key (API key ID, client IP, ...)
+ * starts full, refills continuously and allows a request while a token is available.
+ */
+class TokenBucketLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Maximum burst size
+     * @param {number} options.refillPerSecond - Tokens added per second
+     */
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Try to take a token for a bucket key
+     * @param {string} key - Bucket key
+     * @param {Object} [limits] - Per-key overrides of capacity and refillPerSecond
+     * @returns {{allowed: boolean, limit: number, remaining: number, retryAfter: number}} - retryAfter in seconds
+     */
+    take(key, limits = {}) {
+        const capacity = limits.capacity || this.capacity;
+        const refillPerSecond = limits.refillPerSecond || this.refillPerSecond;
+        const now = Date.now();
+
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+        // Kept on the bucket so prune() judges it by the limits it was last used with
+        bucket.capacity = capacity;
+        bucket.refillPerSecond = refillPerSecond;
+        const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens < 1) {
+            return {
+                allowed: false,
+                limit: capacity,
+                remaining: 0,
+                retryAfter: Math.ceil((1 - bucket.tokens) / refillPerSecond)
+            };
+        }
+
+        bucket.tokens -= 1;
+        return { allowed: true, limit: capacity, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    /**
+     * Drop buckets that have refilled completely, to keep memory bounded
+     */
+    prune() {
+        const now = Date.now();
+
+        for (const [key, bucket] of this.buckets) {
+            const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+            if (bucket.tokens + elapsedSeconds * bucket.refillPerSecond >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = TokenBucketLimiter;
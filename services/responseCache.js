@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config');
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * 64-bit difference hash: shrink to 9x8 grayscale and record whether each
+ * pixel is brighter than its right neighbour. Re-encoded or slightly
+ * recropped photos of the same scene land within a few bits of each other.
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Promise<bigint>}
+ */
+async function differenceHash(buffer) {
+    const pixels = await sharp(buffer)
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+        }
+    }
+
+    return hash;
+}
+
+function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+
+    return count;
+}
+
+/**
+ * In-memory LRU cache for vision completions, keyed by a hash of the
+ * compressed image bytes plus the prompt, model and parameters. With
+ * perceptual hashing enabled, near-duplicate photos also hit.
+ */
+class ResponseCache {
+    constructor() {
+        this.ttlMs = config.cache.ttlSeconds * 1000;
+        this.maxEntries = config.cache.maxEntries;
+        this.maxBytes = config.cache.maxBytes;
+        this.perceptual = config.cache.perceptualHash;
+        this.maxDistance = config.cache.perceptualDistance;
+
+        this.entries = new Map();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Compute the cache key parts for a completion request
+     * @param {string} spec - "provider:model"
+     * @param {Object} request - Provider-neutral request
+     * @param {Array<string>} images - Base64 images in the request, in order
+     * @returns {Promise<Object>} - `{ textKey, key, perceptualHashes }`
+     */
+    async keyFor(spec, request, images) {
+        // Images are keyed by their bytes, so drop them from the text part of the key
+        const messages = request.messages.map(message => (Array.isArray(message.content)
+            ? { ...message, content: message.content.map(part => (part.type === 'image_url' ? { type: 'image' } : part)) }
+            : message));
+
+        const textKey = sha256(JSON.stringify({
+            spec,
+            messages,
+            temperature: request.temperature,
+            maxTokens: request.maxTokens,
+            responseFormat: request.responseFormat
+        }));
+
+        const buffers = images.map(image => Buffer.from(image, 'base64'));
+        const key = `${textKey}:${buffers.map(sha256).join(',')}`;
+
+        let perceptualHashes = null;
+        if (this.perceptual) {
+            try {
+                perceptualHashes = await Promise.all(buffers.map(differenceHash));
+            } catch (error) {
+                // Not decodable; exact matching still applies
+            }
+        }
+
+        return { textKey, key, perceptualHashes };
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt <= Date.now();
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+
+        if (entry) {
+            this.bytes -= entry.size;
+            this.entries.delete(key);
+        }
+    }
+
+    findNearDuplicate({ textKey, perceptualHashes }) {
+        if (!perceptualHashes) {
+            return null;
+        }
+
+        for (const [key, entry] of this.entries) {
+            if (entry.textKey !== textKey || !entry.perceptualHashes
+                || entry.perceptualHashes.length !== perceptualHashes.length) {
+                continue;
+            }
+
+            const near = entry.perceptualHashes.every((hash, i) =>
+                hammingDistance(hash, perceptualHashes[i]) <= this.maxDistance);
+
+            if (near && !this.isExpired(entry)) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {Object} cacheKey - Output of keyFor
+     * @returns {{key: string, value: *}|null} - The cached value and the key of the entry
+     *   it came from (a near duplicate's, for a perceptual match), or null on a miss
+     */
+    get(cacheKey) {
+        let key = cacheKey.key;
+        let entry = this.entries.get(key);
+
+        if (entry && this.isExpired(entry)) {
+            this.remove(key);
+            entry = null;
+        }
+
+        if (!entry) {
+            key = this.findNearDuplicate(cacheKey);
+            entry = key ? this.entries.get(key) : null;
+        }
+
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+
+        return { key, value: entry.value };
+    }
+
+    set(cacheKey, value) {
+        const size = Buffer.byteLength(JSON.stringify(value));
+
+        this.remove(cacheKey.key);
+        this.entries.set(cacheKey.key, {
+            value,
+            size,
+            textKey: cacheKey.textKey,
+            perceptualHashes: cacheKey.perceptualHashes,
+            expiresAt: Date.now() + this.ttlMs
+        });
+        this.bytes += size;
+
+        // Evict least recently used entries (the front of the Map) until within limits
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+                break;
+            }
+            this.remove(key);
+        }
+    }
+
+    purge() {
+        const purged = this.entries.size;
+
+        this.entries.clear();
+        this.bytes = 0;
+
+        return purged;
+    }
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            bytes: this.bytes,
+            hits: this.hits,
+            misses: this.misses,
+            ttlSeconds: this.ttlMs / 1000,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            perceptualHash: this.perceptual
+        };
+    }
+}
+
+module.exports = new ResponseCache();
@@ -0,0 +1,97 @@
+const Ajv = require('ajv');
+
+const AJV_OPTIONS = { allErrors: true, strict: false };
+
+// Used only for meta-validation, which registers nothing
+const ajv = new Ajv(AJV_OPTIONS);
+const compiled = new WeakMap();
+
+function getValidator(schema) {
+    if (!compiled.has(schema)) {
+        // A fresh instance per schema: Ajv registers every compiled schema (and any
+        // nested $id) in a strong cache, which would leak caller-supplied schemas
+        // and reject a second schema reusing the same $id
+        compiled.set(schema, new Ajv(AJV_OPTIONS).compile(schema));
+    }
+
+    return compiled.get(schema);
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Value to check
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validate(schema, data) {
+    const validator = getValidator(schema);
+    const valid = validator(data);
+
+    return {
+        valid,
+        errors: valid ? [] : validator.errors.map(error => ({
+            path: error.instancePath || '/',
+            message: error.message
+        }))
+    };
+}
+
+/**
+ * Check that a caller-supplied value is a usable JSON Schema
+ * @param {*} schema
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function checkSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return { valid: false, errors: [{ path: '/', message: 'schema must be a JSON Schema object' }] };
+    }
+
+    if (!ajv.validateSchema(schema)) {
+        return {
+            valid: false,
+            errors: ajv.errors.map(error => ({ path: error.instancePath || '/', message: error.message }))
+        };
+    }
+
+    try {
+        getValidator(schema);
+    } catch (error) {
+        return { valid: false, errors: [{ path: '/', message: error.message }] };
+    }
+
+    return { valid: true, errors: [] };
+}
+
+/**
+ * Parse JSON from model output, repairing the usual defects: markdown code
+ * fences and prose before or after the JSON value
+ * @param {string} content - Raw model output
+ * @returns {*} - Parsed value, or undefined if no JSON could be recovered
+ */
+function parseJson(content) {
+    const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // Fall back to the outermost object or array in the text
+        const start = text.search(/[[{]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+
+        if (start === -1 || end <= start) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(text.slice(start, end + 1));
+        } catch (innerError) {
+            return undefined;
+        }
+    }
+}
+
+module.exports = {
+    validate,
+    checkSchema,
+    parseJson
+};
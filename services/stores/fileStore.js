@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Key/value store that keeps one JSON file per record in a directory,
+ * so data survives process restarts (e.g. `pm2 restart` during deploys).
+ */
+class FileStore {
+    /**
+     * @param {string} directory - Directory to hold the record files (created if missing)
+     */
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    filePath(id) {
+        // Only allow safe characters so ids can't escape the store directory
+        const safeId = String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+        return path.join(this.directory, `${safeId}.json`);
+    }
+
+    async get(id) {
+        try {
+            const contents = await fs.promises.readFile(this.filePath(id), 'utf8');
+            return JSON.parse(contents);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(id, value) {
+        const filePath = this.filePath(id);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        // Write to a temp file first so a crash never leaves a half-written record
+        await fs.promises.writeFile(tempPath, JSON.stringify(value));
+        await fs.promises.rename(tempPath, filePath);
+        return value;
+    }
+
+    async delete(id) {
+        try {
+            await fs.promises.unlink(this.filePath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check the directory can still be written: write, read back and remove a probe record
+     */
+    async check() {
+        const id = `_check-${process.pid}`;
+        await this.set(id, { checkedAt: Date.now() });
+        await this.get(id);
+        await this.delete(id);
+    }
+
+    async values() {
+        const files = await fs.promises.readdir(this.directory);
+        const records = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => fs.promises.readFile(path.join(this.directory, file), 'utf8')
+                .then(JSON.parse)
+                .catch(() => null)));
+        return records.filter(Boolean);
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,45 @@
+const path = require('path');
+const config = require('../../config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+// Every store created, for the readiness check
+const stores = [];
+
+function buildStore(type, name) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore(path.join(config.storage.dataDir, name));
+        default:
+            throw new Error(`Unknown store type "${type}"`);
+    }
+}
+
+/**
+ * Create a store by type
+ * @param {string} type - "memory" or "file"
+ * @param {string} name - Store name, used as the sub-directory for file stores
+ * @returns {MemoryStore|FileStore}
+ */
+function createStore(type, name) {
+    const store = buildStore(type, name);
+    stores.push({ name, type, store });
+    return store;
+}
+
+/**
+ * The stores created so far
+ * @returns {Array<{name: string, type: string, store: (MemoryStore|FileStore)}>}
+ */
+function listStores() {
+    return [...stores];
+}
+
+module.exports = {
+    createStore,
+    listStores,
+    MemoryStore,
+    FileStore
+};
@@ -0,0 +1,31 @@
+/**
+ * Key/value store kept in process memory. Contents are lost on restart.
+ */
+class MemoryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return this.records.has(id) ? this.records.get(id) : null;
+    }
+
+    async set(id, value) {
+        this.records.set(id, value);
+        return value;
+    }
+
+    async delete(id) {
+        return this.records.delete(id);
+    }
+
+    async check() {
+        // Nothing that can fail
+    }
+
+    async values() {
+        return Array.from(this.records.values());
+    }
+}
+
+module.exports = MemoryStore;
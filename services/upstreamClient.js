@@ -0,0 +1,259 @@
+const config = require('../config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { UpstreamError, upstreamError } = require('./errors');
+
+const BASE_RETRY_DELAY_MS = 500;
+// Longer Retry-After waits aren't worth holding the request for; the next model in the chain is tried instead
+const MAX_RETRY_DELAY_MS = 10000;
+
+// 529 is Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT', 'ECONNABORTED'];
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTimeout(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+}
+
+/**
+ * Failures of the upstream rather than of our request: these open the circuit
+ * breaker and move on to the fallback model. Anything else (400, 401, 404, ...)
+ * would fail the same way on every model.
+ */
+function isUpstreamFailure(error) {
+    if (error instanceof UpstreamError) {
+        return error.code === 'MODEL_UNAVAILABLE';
+    }
+    const status = error.response?.status;
+    return status ? RETRYABLE_STATUSES.includes(status) : NETWORK_ERRORS.includes(error.code);
+}
+
+/**
+ * Worth retrying on the same model. Timeouts are not: the call already took the
+ * whole timeout, so it goes straight to the fallback.
+ */
+function isRetryable(error) {
+    return isUpstreamFailure(error) && !isTimeout(error) && !(error instanceof UpstreamError);
+}
+
+/**
+ * Delay before retry `attempt` (1-based): the server's Retry-After when it sends one,
+ * otherwise exponential backoff with full jitter
+ * @returns {number|null} - null if Retry-After asks for longer than MAX_RETRY_DELAY_MS
+ */
+function retryDelay(error, attempt) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+
+    if (retryAfter > 0) {
+        return retryAfter * 1000 <= MAX_RETRY_DELAY_MS ? retryAfter * 1000 : null;
+    }
+
+    const ceiling = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Consecutive-failure circuit breaker for one provider:model. After `threshold`
+ * upstream failures in a row it opens and calls fail fast; after `resetMs` one
+ * trial call is let through (half-open), and its outcome closes or reopens it.
+ */
+class CircuitBreaker {
+    constructor({ threshold, resetMs }) {
+        this.threshold = threshold;
+        this.resetMs = resetMs;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+    }
+
+    get state() {
+        if (this.openedAt === null) {
+            return 'closed';
+        }
+        return Date.now() - this.openedAt >= this.resetMs ? 'half-open' : 'open';
+    }
+
+    /**
+     * Seconds until the breaker lets a trial call through
+     */
+    get retryAfter() {
+        return this.openedAt === null ? 0 : Math.max(1, Math.ceil((this.openedAt + this.resetMs - Date.now()) / 1000));
+    }
+
+    /**
+     * Take permission to call; false while open, or half-open with the trial call under way
+     */
+    tryAcquire() {
+        const state = this.state;
+
+        if (state === 'closed') {
+            return true;
+        }
+        if (state === 'half-open' && !this.trialRunning) {
+            this.trialRunning = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+    }
+
+    /**
+     * @returns {boolean} - Whether this failure opened the breaker
+     */
+    recordFailure() {
+        const wasOpen = this.openedAt !== null;
+        this.failures++;
+        this.trialRunning = false;
+
+        if (wasOpen || this.failures >= this.threshold) {
+            this.openedAt = Date.now();
+            return !wasOpen;
+        }
+        return false;
+    }
+
+    /**
+     * A call that ended without saying anything about the upstream (e.g. a 400)
+     */
+    release() {
+        this.trialRunning = false;
+    }
+}
+
+/**
+ * Shared client for model provider calls: per-call timeouts, retries with backoff
+ * that honor Retry-After, a circuit breaker per provider:model, and a fallback
+ * chain of models tried in order when one is failing.
+ */
+class UpstreamClient {
+    constructor() {
+        this.timeout = config.upstream.timeoutMs;
+        this.maxRetries = config.upstream.maxRetries;
+        this.breakerThreshold = config.upstream.breakerThreshold;
+        this.breakerResetMs = config.upstream.breakerResetSeconds * 1000;
+
+        // spec -> CircuitBreaker
+        this.breakers = new Map();
+    }
+
+    breakerFor(spec) {
+        if (!this.breakers.has(spec)) {
+            this.breakers.set(spec, new CircuitBreaker({ threshold: this.breakerThreshold, resetMs: this.breakerResetMs }));
+        }
+        return this.breakers.get(spec);
+    }
+
+    /**
+     * Breaker state per provider:model that has been called
+     * @returns {Object} - spec -> `{ state, failures, retryAfter? }`
+     */
+    breakerStates() {
+        return Object.fromEntries([...this.breakers].map(([spec, breaker]) => [spec, {
+            state: breaker.state,
+            failures: breaker.failures,
+            ...(breaker.state === 'open' && { retryAfter: breaker.retryAfter })
+        }]));
+    }
+
+    /**
+     * Call one model, retrying upstream failures on it
+     * @param {{provider: Object, model: string, spec: string}} target
+     * @param {Function} call - `(target) => Promise`, makes the request
+     * @param {Object} options
+     * @param {Function} [options.canRetry] - Returns false once retrying is no longer safe (e.g. a stream has started)
+     */
+    async callWithRetries(target, call, { canRetry = () => true } = {}) {
+        const breaker = this.breakerFor(target.spec);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.tryAcquire()) {
+                throw new UpstreamError('MODEL_UNAVAILABLE', `${target.spec} is failing and temporarily not being called. Please try again later.`, {
+                    retryAfter: breaker.retryAfter,
+                    provider: target.provider.name
+                });
+            }
+
+            try {
+                const result = await call(target);
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                if (!isUpstreamFailure(error)) {
+                    breaker.release();
+                    throw error;
+                }
+
+                if (breaker.recordFailure()) {
+                    metrics.circuitOpened.inc({ model: target.spec });
+                    logger.warn('Circuit breaker opened', { model: target.spec, failures: breaker.failures, resetMs: this.breakerResetMs });
+                }
+
+                const retry = isRetryable(error) && attempt < this.maxRetries && breaker.state === 'closed' && canRetry();
+                const wait = retry ? retryDelay(error, attempt + 1) : null;
+                if (wait === null) {
+                    throw error;
+                }
+
+                metrics.upstreamRetries.inc({ upstream: target.provider.name });
+                logger.warn('Retrying model request', {
+                    model: target.spec,
+                    attempt: attempt + 1,
+                    delayMs: wait,
+                    upstreamStatus: error.response?.status,
+                    reason: error.code
+                });
+                await delay(wait);
+            }
+        }
+    }
+
+    /**
+     * Call the first model of a chain, moving on to the next one when a model is
+     * failing (retries used up, timed out or its circuit open). Errors about the
+     * request itself are thrown straight away.
+     * @param {Array<{provider: Object, model: string, spec: string}>} chain - Primary model first, then its fallbacks
+     * @param {Function} call - `(target) => Promise`, makes the request
+     * @param {Object} [options]
+     * @param {Function} [options.canRetry] - See callWithRetries; also stops the fallback
+     * @returns {Promise<{result: *, target: Object, fallbackFrom: (string|null)}>} - The result and the model that served it
+     * @throws {ApiError} - The last model's error, as an upstream error
+     */
+    async run(chain, call, { canRetry = () => true } = {}) {
+        let lastError = null;
+
+        for (const [index, target] of chain.entries()) {
+            if (index > 0) {
+                metrics.fallbacks.inc({ from: chain[0].spec, to: target.spec });
+                logger.warn('Falling back to another model', {
+                    from: chain[index - 1].spec,
+                    to: target.spec,
+                    error: lastError.message
+                });
+            }
+
+            try {
+                const result = await this.callWithRetries(target, call, { canRetry });
+                return { result, target, fallbackFrom: index > 0 ? chain[0].spec : null };
+            } catch (error) {
+                lastError = upstreamError(error, target.provider.name);
+
+                if (!isUpstreamFailure(error) || !canRetry()) {
+                    throw lastError;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+module.exports = new UpstreamClient();
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const config = require('../config');
+const { createStore } = require('./stores');
+const logger = require('./logger');
+const { ValidationError } = require('./errors');
+
+// How long to batch usage updates before writing them to the store
+const FLUSH_DELAY_MS = 5000;
+
+// Longest range a usage report may cover, since each day is a store read
+const MAX_QUERY_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GROUP_BY_FIELDS = {
+    endpoint: entry => entry.endpoint,
+    key: entry => entry.keyId,
+    app: entry => entry.app,
+    model: entry => entry.model,
+    prompt: entry => entry.prompt || 'none',
+    day: entry => entry.day
+};
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, imageTokens: 0, totalTokens: 0, estimatedCost: 0 };
+}
+
+function addTotals(target, source) {
+    target.calls += source.calls;
+    target.promptTokens += source.promptTokens;
+    target.completionTokens += source.completionTokens;
+    target.imageTokens += source.imageTokens;
+    target.totalTokens += source.totalTokens;
+    target.estimatedCost += source.estimatedCost;
+    return target;
+}
+
+/**
+ * Parse a YYYY-MM-DD query parameter, or return null if it isn't a real date
+ */
+function parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+    // Rules out days past the end of the month, which Date rolls over
+    return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+function roundCost(totals) {
+    return { ...totals, estimatedCost: Number(totals.estimatedCost.toFixed(6)) };
+}
+
+/**
+ * Estimate the tokens an image costs on a high-detail vision request:
+ * scaled to fit 2048x2048, then the short side to 768, at 170 tokens per
+ * 512px tile plus a fixed 85
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+function estimateImageTokens(width, height) {
+    if (!width || !height) {
+        return 0;
+    }
+
+    let scale = Math.min(1, 2048 / Math.max(width, height));
+    scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+
+    const tiles = Math.ceil(width * scale / 512) * Math.ceil(height * scale / 512);
+    return 85 + 170 * tiles;
+}
+
+/**
+ * Collects the token usage of every upstream call made while handling one request
+ */
+class UsageMeter {
+    constructor(usageService) {
+        this.usageService = usageService;
+        this.calls = [];
+    }
+
+    /**
+     * @param {Object} call
+     * @param {string} call.spec - "provider:model" that served the call
+     * @param {Object|null} call.usage - OpenAI-shaped usage from the provider
+     * @param {number} [call.imageTokens] - Estimated image tokens (already included in prompt tokens)
+     * @param {{name: string, version: number}} [call.prompt] - Prompt template version used for the call
+     * @param {string} [call.cache] - "hit" or "miss" for cacheable calls; a hit costs no tokens
+     * @param {string} [call.fallbackFrom] - The routed model, if `spec` is its fallback
+     */
+    add({ spec, usage, imageTokens = 0, prompt = null, cache = null, fallbackFrom = null }) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+
+        this.calls.push({
+            model: spec,
+            prompt: prompt ? `${prompt.name}@${prompt.version}` : null,
+            cache,
+            fallbackFrom,
+            calls: 1,
+            promptTokens,
+            completionTokens,
+            imageTokens: cache === 'hit' ? 0 : imageTokens,
+            totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+            estimatedCost: this.usageService.estimateCost(spec, promptTokens, completionTokens)
+        });
+    }
+
+    hasUsage() {
+        return this.calls.length > 0;
+    }
+
+    /**
+     * The provider:model specs that served the calls, in order of first use
+     */
+    models() {
+        return [...new Set(this.calls.map(call => call.model))];
+    }
+
+    /**
+     * "hit" if every cacheable call was served from the response cache,
+     * "miss" if any went upstream, null if nothing was cacheable
+     */
+    cacheStatus() {
+        const cacheable = this.calls.filter(call => call.cache);
+
+        if (cacheable.length === 0) {
+            return null;
+        }
+
+        return cacheable.every(call => call.cache === 'hit') ? 'hit' : 'miss';
+    }
+
+    /**
+     * Totals for the response body
+     */
+    summary() {
+        const totals = this.calls.reduce((sum, call) => addTotals(sum, call), emptyTotals());
+        const { calls, ...summary } = roundCost(totals);
+        const prompts = [...new Set(this.calls.map(call => call.prompt).filter(Boolean))];
+        const fallbacks = this.calls
+            .filter(call => call.fallbackFrom)
+            .map(call => ({ from: call.fallbackFrom, to: call.model }));
+
+        return {
+            ...summary,
+            currency: this.usageService.prices.currency,
+            models: this.models(),
+            ...(prompts.length > 0 && { prompts }),
+            ...(fallbacks.length > 0 && { fallbacks })
+        };
+    }
+}
+
+/**
+ * Aggregates token usage and estimated cost per day, endpoint, API key and model
+ */
+class UsageService {
+    constructor() {
+        this.store = createStore(config.storage.usage, 'usage');
+        this.prices = JSON.parse(fs.readFileSync(config.usage.pricesConfig, 'utf8'));
+        this.days = new Map();
+        this.dirtyDays = new Set();
+        this.flushTimer = null;
+    }
+
+    createMeter() {
+        return new UsageMeter(this);
+    }
+
+    estimateImageTokens(width, height) {
+        return estimateImageTokens(width, height);
+    }
+
+    /**
+     * Estimated cost of one call from the price table
+     * @param {string} spec - "provider:model"
+     * @param {number} promptTokens
+     * @param {number} completionTokens
+     * @returns {number} - Cost in the price table's currency (0 for unpriced models)
+     */
+    estimateCost(spec, promptTokens, completionTokens) {
+        const price = this.prices.models[spec];
+
+        if (!price) {
+            return 0;
+        }
+
+        return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+    }
+
+    async loadDay(day) {
+        if (!this.days.has(day)) {
+            const stored = await this.store.get(day);
+
+            // Another request may have loaded the day while this one waited
+            if (!this.days.has(day)) {
+                this.days.set(day, stored || { day, entries: {} });
+            }
+        }
+
+        return this.days.get(day);
+    }
+
+    /**
+     * Add a finished request's usage to today's totals
+     * @param {Object} options
+     * @param {string} options.endpoint - Route path
+     * @param {string} [options.keyId] - API key ID
+     * @param {string} [options.app] - App the API key belongs to
+     * @param {UsageMeter} options.meter
+     */
+    async record({ endpoint, keyId = 'anonymous', app = 'anonymous', meter }) {
+        const day = new Date().toISOString().slice(0, 10);
+        const dayTotals = await this.loadDay(day);
+
+        for (const call of meter.calls) {
+            const entryKey = [endpoint, keyId, app, call.model, call.prompt || ''].join('\t');
+            const entry = dayTotals.entries[entryKey]
+                || { endpoint, keyId, app, model: call.model, prompt: call.prompt, ...emptyTotals() };
+
+            dayTotals.entries[entryKey] = addTotals(entry, call);
+        }
+
+        this.dirtyDays.add(day);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => logger.error('Usage flush failed', { error }));
+        }, FLUSH_DELAY_MS);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write changed days to the store. A day stays dirty until its write succeeds,
+     * so a failed write is retried by the next flush.
+     */
+    async flush() {
+        const days = [...this.dirtyDays];
+
+        const results = await Promise.allSettled(days.map(async (day) => {
+            // Cleared before writing so usage recorded during the write marks it dirty again
+            this.dirtyDays.delete(day);
+            try {
+                await this.store.set(day, this.days.get(day));
+            } catch (error) {
+                this.dirtyDays.add(day);
+                throw error;
+            }
+        }));
+
+        // Only today's totals still change, so older days can leave memory
+        const today = new Date().toISOString().slice(0, 10);
+        for (const day of this.days.keys()) {
+            if (day !== today && !this.dirtyDays.has(day)) {
+                this.days.delete(day);
+            }
+        }
+
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            this.scheduleFlush();
+            throw failed.reason;
+        }
+    }
+
+    /**
+     * Usage totals for a date range
+     * @param {Object} options
+     * @param {string} [options.from] - First day (YYYY-MM-DD), defaults to 30 days ago
+     * @param {string} [options.to] - Last day (YYYY-MM-DD), defaults to today
+     * @param {string} [options.groupBy] - endpoint, key, app, model, prompt or day
+     * @returns {Promise<Object>} - Overall totals and per-group totals
+     */
+    async query({ from, to, groupBy = 'endpoint' } = {}) {
+        if (!GROUP_BY_FIELDS[groupBy]) {
+            throw new ValidationError(`groupBy must be one of: ${Object.keys(GROUP_BY_FIELDS).join(', ')}`);
+        }
+
+        const toDate = to !== undefined ? parseDay(to) : new Date();
+        const fromDate = from !== undefined ? parseDay(from) : toDate && new Date(toDate.getTime() - 29 * DAY_MS);
+
+        if (!fromDate || !toDate || fromDate > toDate) {
+            throw new ValidationError("from and to must be dates (YYYY-MM-DD) with from on or before to");
+        }
+        if (toDate.getTime() - fromDate.getTime() >= MAX_QUERY_DAYS * DAY_MS) {
+            throw new ValidationError(`The range from ${from} to ${to || 'today'} is too long: reports cover at most ${MAX_QUERY_DAYS} days`);
+        }
+
+        const totals = emptyTotals();
+        const groups = new Map();
+
+        for (let time = fromDate.getTime(); time <= toDate.getTime(); time += DAY_MS) {
+            const day = new Date(time).toISOString().slice(0, 10);
+            const dayTotals = this.days.get(day) || await this.store.get(day);
+
+            if (!dayTotals) {
+                continue;
+            }
+
+            for (const entry of Object.values(dayTotals.entries)) {
+                const groupKey = GROUP_BY_FIELDS[groupBy]({ ...entry, day });
+
+                if (!groups.has(groupKey)) {
+                    groups.set(groupKey, emptyTotals());
+                }
+
+                addTotals(groups.get(groupKey), entry);
+                addTotals(totals, entry);
+            }
+        }
+
+        return {
+            from: fromDate.toISOString().slice(0, 10),
+            to: toDate.toISOString().slice(0, 10),
+            groupBy,
+            currency: this.prices.currency,
+            totals: roundCost(totals),
+            groups: [...groups].map(([key, groupTotals]) => ({ [groupBy]: key, ...roundCost(groupTotals) }))
+        };
+    }
+}
+
+module.exports = new UsageService();